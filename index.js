@@ -2,3 +2,7 @@
 
 module.exports = require('./src/lib/plugin')
 module.exports.Factory = require('./src/lib/factory')
+module.exports.Simulator = require('./src/lib/simulator')
+module.exports.Metrics = require('./src/lib/metrics').MetricsRegistry
+module.exports.AbortController = require('./src/lib/abort-controller')
+module.exports.IlpError = require('./src/errors/ilp-error')
@@ -0,0 +1,61 @@
+'use strict'
+
+const camelCase = require('lodash/camelCase')
+
+// code ⇒ name of the ILP errors: F for final, T for temporary and R for
+// relative errors
+const NAMES = {
+  F00: 'Bad Request',
+  F01: 'Invalid Packet',
+  F02: 'Unreachable',
+  F03: 'Invalid Amount',
+  F04: 'Insufficient Destination Amount',
+  F05: 'Wrong Condition',
+  F06: 'Unexpected Payment',
+  F07: 'Cannot Receive',
+  T00: 'Internal Error',
+  T01: 'Ledger Unreachable',
+  T02: 'Ledger Busy',
+  T03: 'Connector Busy',
+  T04: 'Insufficient Liquidity',
+  T05: 'Rate Limited',
+  R00: 'Transfer Timed Out',
+  R01: 'Insufficient Source Amount',
+  R02: 'Insufficient Timeout'
+}
+
+/**
+ * An ILP error, which request handlers can throw and rejectIncomingTransfer
+ * accepts as the rejection message.
+ *
+ * There is a helper for each known code, named after the error, e.g.
+ * `IlpError.unreachable(message)` for F02 or
+ * `IlpError.insufficientLiquidity(message)` for T04.
+ */
+class IlpError extends Error {
+  /**
+   * @param {String} code ILP error code, e.g. 'F02'
+   * @param {String} [message] Defaults to the error's name
+   * @param {Object} [additionalInfo]
+   */
+  constructor (code, message, additionalInfo) {
+    if (!/^[FTR]\d\d$/.test(code)) {
+      throw new TypeError('Expected an ILP error code like F02, received: ' + code)
+    }
+    super(message || NAMES[code] || code)
+    this.name = 'IlpError'
+    this.code = code
+    // `name` is taken by the Error class
+    this.ilpName = NAMES[code] || 'Unknown Error'
+    this.additionalInfo = additionalInfo || {}
+  }
+}
+
+IlpError.NAMES = NAMES
+
+for (let code of Object.keys(NAMES)) {
+  IlpError[camelCase(NAMES[code])] = (message, additionalInfo) =>
+    new IlpError(code, message, additionalInfo)
+}
+
+module.exports = IlpError
@@ -1,5 +1,7 @@
 'use strict'
 
+const IlpError = require('./ilp-error')
+
 class InvalidFieldsError extends Error {
   constructor (message) {
     super(message)
@@ -84,16 +86,41 @@ class RequestHandlerAlreadyRegisteredError extends Error {
   }
 }
 
+class DisconnectedError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'DisconnectedError'
+  }
+}
+
+class RequestCancelledError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'RequestCancelledError'
+  }
+}
+
+class CaseNotFoundError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'CaseNotFoundError'
+  }
+}
+
 module.exports = {
   AlreadyFulfilledError,
   AlreadyRolledBackError,
+  CaseNotFoundError,
   DuplicateIdError,
+  IlpError,
   InvalidFieldsError,
   MissingFulfillmentError,
   NoSubscriptionsError,
   NotAcceptedError,
   InsufficientBalanceError,
   AccountNotFoundError,
+  DisconnectedError,
+  RequestCancelledError,
   RequestHandlerAlreadyRegisteredError,
   TransferNotConditionalError,
   TransferNotFoundError
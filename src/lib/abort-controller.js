@@ -0,0 +1,46 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+/**
+ * Minimal stand-in for the DOM AbortSignal, for Node versions without one.
+ * The plugin accepts either.
+ */
+class AbortSignal extends EventEmitter {
+  constructor () {
+    super()
+    this.aborted = false
+    this.reason = undefined
+  }
+
+  addEventListener (type, listener) {
+    this.on(type, listener)
+  }
+
+  removeEventListener (type, listener) {
+    this.removeListener(type, listener)
+  }
+}
+
+/**
+ * Minimal stand-in for the DOM AbortController, used to cancel `sendRequest`
+ * calls:
+ *
+ *     const controller = new AbortController()
+ *     plugin.sendRequest(message, { signal: controller.signal })
+ *     controller.abort()
+ */
+class AbortController {
+  constructor () {
+    this.signal = new AbortSignal()
+  }
+
+  abort (reason) {
+    if (this.signal.aborted) return
+    this.signal.aborted = true
+    this.signal.reason = reason
+    this.signal.emit('abort', { type: 'abort' })
+  }
+}
+
+module.exports = AbortController
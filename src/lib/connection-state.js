@@ -0,0 +1,80 @@
+'use strict'
+
+const debug = require('debug')('ilp-plugin-bells:connection-state')
+
+// state ⇒ states it can move to
+const TRANSITIONS = {
+  'idle': [ 'fetching-metadata' ],
+  'fetching-metadata': [ 'authenticating', 'failed', 'disconnecting' ],
+  'authenticating': [ 'ws-connecting', 'failed', 'disconnecting' ],
+  'ws-connecting': [ 'subscribing', 'reconnecting', 'failed', 'disconnecting' ],
+  'subscribing': [ 'connected', 'reconnecting', 'failed', 'disconnecting' ],
+  'connected': [ 'reconnecting', 'disconnecting' ],
+  'reconnecting': [ 'ws-connecting', 'failed', 'disconnecting' ],
+  'disconnecting': [ 'idle' ],
+  // the websocket keeps reconnecting in the background after connect() failed
+  'failed': [ 'fetching-metadata', 'ws-connecting', 'subscribing', 'reconnecting', 'disconnecting' ]
+}
+
+/**
+ * Tracks which stage of connecting to the ledger a plugin is in.
+ *
+ * Transitions that aren't allowed from the current state are ignored, so that
+ * a step of a connection attempt finishing after disconnect() was called
+ * doesn't move the plugin out of `idle` again.
+ */
+class ConnectionState {
+  constructor () {
+    this.state = 'idle'
+    this.reason = null
+    // reconnect attempts since the websocket was last connected
+    this.attempt = 0
+    this.since = new Date()
+  }
+
+  /**
+   * @param {String} state
+   * @param {String} [reason]
+   * @returns {Object|null} The change, or null if the transition isn't allowed
+   */
+  transition (state, reason) {
+    if (!TRANSITIONS[state]) {
+      throw new Error('Unknown connection state: ' + state)
+    }
+    if (state === this.state) return null
+    if (TRANSITIONS[this.state].indexOf(state) === -1) {
+      debug('ignoring transition from ' + this.state + ' to ' + state)
+      return null
+    }
+
+    if (state === 'reconnecting') {
+      this.attempt++
+    } else if (state === 'connected' || state === 'idle') {
+      this.attempt = 0
+    }
+    const previous = this.state
+    this.state = state
+    this.reason = reason || null
+    this.since = new Date()
+    debug('connection state ' + previous + ' -> ' + state + (reason ? ' (' + reason + ')' : ''))
+    return {
+      state: state,
+      previous: previous,
+      reason: this.reason,
+      attempt: this.attempt
+    }
+  }
+
+  toJSON () {
+    return {
+      state: this.state,
+      reason: this.reason,
+      attempt: this.attempt,
+      since: this.since.toISOString()
+    }
+  }
+}
+
+ConnectionState.STATES = Object.keys(TRANSITIONS)
+
+module.exports = ConnectionState
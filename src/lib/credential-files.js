@@ -0,0 +1,66 @@
+'use strict'
+
+const fs = require('fs')
+const debug = require('debug')('ilp-plugin-bells:credential-files')
+
+const defaultInterval = 5000
+
+/**
+ * Loads TLS client credentials (`cert`, `key`, `ca`) from files and reloads
+ * them whenever one of the files changes, so certificates can be rotated
+ * without restarting the plugin.
+ */
+class CredentialFiles {
+  /**
+   * @param {Object} paths Map of credential field (cert, key or ca) ⇒ file path
+   * @param {Function} onChange Called with the reloaded credentials
+   * @param {Number} [interval] How often to check the files for changes, in milliseconds
+   */
+  constructor (paths, onChange, interval) {
+    this.paths = paths
+    this.onChange = onChange
+    this.interval = interval || defaultInterval
+    this.listener = null
+  }
+
+  /**
+   * @returns {Object} The current contents of all credential files
+   */
+  load () {
+    const credentials = {}
+    Object.keys(this.paths).forEach((field) => {
+      credentials[field] = fs.readFileSync(this.paths[field])
+    })
+    return credentials
+  }
+
+  start () {
+    if (this.listener) return
+    this.listener = (current, previous) => {
+      if (current.mtime.getTime() === previous.mtime.getTime()) return
+      let credentials
+      try {
+        // reload all files, since a key and certificate are usually replaced together
+        credentials = this.load()
+      } catch (err) {
+        debug('error reloading credential files, keeping the current credentials:', err.message)
+        return
+      }
+      debug('reloaded credential files')
+      this.onChange(credentials)
+    }
+    Object.keys(this.paths).forEach((field) => {
+      fs.watchFile(this.paths[field], { interval: this.interval, persistent: false }, this.listener)
+    })
+  }
+
+  stop () {
+    if (!this.listener) return
+    Object.keys(this.paths).forEach((field) => {
+      fs.unwatchFile(this.paths[field], this.listener)
+    })
+    this.listener = null
+  }
+}
+
+module.exports = CredentialFiles
@@ -0,0 +1,85 @@
+'use strict'
+
+const debug = require('debug')('ilp-plugin-bells:expiry-watchdog')
+const timers = require('./timers')
+
+const maxRecheckDelay = 60000
+
+/**
+ * Schedules a check for each prepared transfer shortly after it expires, in
+ * case the ledger's rejection notification never reaches us.
+ */
+class ExpiryWatchdog {
+  /**
+   * @param {Function} onExpired Called with the transfer id once the transfer
+   *   has been expired for `gracePeriod` milliseconds
+   * @param {Number} gracePeriod Milliseconds to give the ledger to notify us
+   */
+  constructor (onExpired, gracePeriod) {
+    this.onExpired = onExpired
+    this.gracePeriod = gracePeriod
+    // transferId ⇒ { expiresAt, checkAt, rechecks, timer }
+    this.watched = new Map()
+  }
+
+  /**
+   * @param {String} transferId
+   * @param {String|Number} expiresAt ISO 8601 timestamp or milliseconds since the epoch
+   */
+  watch (transferId, expiresAt) {
+    const expiry = new Date(expiresAt).getTime()
+    const existing = this.watched.get(transferId)
+    if (existing && existing.expiresAt === expiry) return
+    this.unwatch(transferId)
+
+    const entry = {
+      expiresAt: expiry,
+      checkAt: Math.max(expiry, Date.now()) + this.gracePeriod,
+      rechecks: 0
+    }
+    this.watched.set(transferId, entry)
+    this._arm(transferId, entry)
+  }
+
+  /**
+   * Check on a transfer again after the ledger still hadn't expired it. The
+   * delay starts at the grace period and doubles with every check, up to a
+   * minute.
+   *
+   * @param {String} transferId
+   */
+  recheck (transferId) {
+    const entry = this.watched.get(transferId)
+    if (!entry) return
+    timers.clearTimer(entry.timer)
+    entry.checkAt = Date.now() +
+      Math.min(this.gracePeriod * Math.pow(2, entry.rechecks), maxRecheckDelay)
+    entry.rechecks++
+    this._arm(transferId, entry)
+  }
+
+  _arm (transferId, entry) {
+    entry.timer = timers.setTimerAt(() => {
+      // the entry stays until the transfer is rechecked or unwatched
+      entry.timer = null
+      debug('transfer ' + transferId + ' expired without a notification from the ledger')
+      this.onExpired(transferId)
+    }, entry.checkAt)
+  }
+
+  unwatch (transferId) {
+    const existing = this.watched.get(transferId)
+    if (!existing) return
+    timers.clearTimer(existing.timer)
+    this.watched.delete(transferId)
+  }
+
+  stop () {
+    for (let entry of this.watched.values()) {
+      timers.clearTimer(entry.timer)
+    }
+    this.watched.clear()
+  }
+}
+
+module.exports = ExpiryWatchdog
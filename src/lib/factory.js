@@ -5,8 +5,11 @@ const uniq = require('lodash/uniq')
 const Plugin = require('./plugin')
 const debug = require('debug')('ilp-plugin-bells:factory')
 const UnreachableError = require('../errors/unreachable-error')
+const DisconnectedError = require('../errors').DisconnectedError
 const EventEmitter2 = require('eventemitter2').EventEmitter2
-const translateBellsToPluginApi = require('./translate').translateBellsToPluginApi
+const translate = require('./translate')
+const createFactoryMetrics = require('./metrics').createFactoryMetrics
+const ConnectionState = require('./connection-state')
 
 class PluginFactory extends EventEmitter2 {
 
@@ -16,6 +19,15 @@ class PluginFactory extends EventEmitter2 {
    * @param {string} opts.adminPassword admin account password
    * @param {string} opts.adminAccount admin account endpoint
    * @param {string} opts.prefix optional set ledger prefix
+   * @param {object} opts.metrics optional MetricsRegistry shared with the plugins
+   * @param {object} opts.retry optional retry policy options for the plugins
+   * @param {object} opts.oauth2 optional OAuth2 client options for the admin account
+   * @param {object} opts.reconnect optional websocket reconnect policy options for the admin account
+   * @param {number} opts.pingInterval optional milliseconds between pings on the websocket
+   * @param {number} opts.pongTimeout optional milliseconds to wait for a pong before reconnecting
+   * @param {boolean} opts.decodeIlp optional, attach parsed ILP packets to the plugins' events
+   * @param {boolean} opts.allowCryptoConditions optional, accept crypto-conditions other than hashlocks
+   * @param {boolean} opts.verifyNotifiedFulfillments optional, drop fulfill notifications with wrong fulfillments
    */
   constructor (opts) {
     super()
@@ -28,12 +40,41 @@ class PluginFactory extends EventEmitter2 {
     this.adminPlugin = null
     this.plugins = new Map()
     this.ready = false
+    this.metricsRegistry = opts.metrics
+    this.retryOptions = opts.retry
+    this.oauth2Options = opts.oauth2
+    this.reconnectOptions = opts.reconnect
+    this.pingInterval = opts.pingInterval
+    this.pongTimeout = opts.pongTimeout
+    this.decodeIlp = opts.decodeIlp
+    this.allowCryptoConditions = opts.allowCryptoConditions
+    this.verifyNotifiedFulfillments = opts.verifyNotifiedFulfillments
+    // credentials replaced with updateCredentials()
+    this.credentialUpdates = null
+    this.metrics = createFactoryMetrics(opts.metrics)
   }
 
   isConnected () {
     return this.adminPlugin && this.adminPlugin.isConnected()
   }
 
+  /**
+   * @returns {Object} The connection state of the admin plugin's websocket,
+   *   which is shared by all plugins. See Plugin#getConnectionState
+   */
+  getConnectionState () {
+    return this.adminPlugin
+      ? this.adminPlugin.getConnectionState()
+      : new ConnectionState().toJSON()
+  }
+
+  /**
+   * @returns {Number|null} Round-trip time of the last ping on the shared websocket
+   */
+  getLatency () {
+    return this.adminPlugin ? this.adminPlugin.getLatency() : null
+  }
+
   connect (options) {
     return co.wrap(this._connect).call(this, options)
   }
@@ -45,15 +86,35 @@ class PluginFactory extends EventEmitter2 {
         username: this.adminUsername,
         password: this.adminPassword,
         account: this.adminAccount,
-        prefix: this.configPrefix
+        prefix: this.configPrefix,
+        metrics: this.metricsRegistry,
+        retry: this.retryOptions,
+        oauth2: this.oauth2Options,
+        reconnect: this.reconnectOptions,
+        pingInterval: this.pingInterval,
+        pongTimeout: this.pongTimeout
       })
+      if (this.credentialUpdates) this.adminPlugin.updateCredentials(this.credentialUpdates)
       this.adminPlugin.removeAllListeners('_rpc:notification')
       this.adminPlugin.on('_rpc:notification', (notif) =>
-        co.wrap(this._routeNotification).call(this, notif))
+        this.adminPlugin._track(co.wrap(this._routeNotification).call(this, notif)))
+
+      // the admin plugin's websocket is shared by all plugins
+      this.adminPlugin.on('auth_error', (err) => this.emit('auth_error', err))
+      this.adminPlugin.on('state_change', (change) => this.emit('state_change', change))
+      this.adminPlugin.on('latency', (latency) => this.emit('latency', latency))
+      this.adminPlugin.on('reconnect_failed', (err) => {
+        this.emit('reconnect_failed', err)
+        if (this.listenerCount('error') > 0) this.emit('error', err)
+      })
 
       this.adminPlugin.on('connect', () => {
         debug('admin plugin connected')
         this._subscribeAccounts()
+          .then(() => this._replayMissedNotifications())
+          .catch((err) => {
+            debug('error restoring subscriptions:', (err && err.stack) ? err.stack : err)
+          })
       })
 
       // on the first connection, don't resolve until
@@ -99,7 +160,7 @@ class PluginFactory extends EventEmitter2 {
     for (let account of uniq(accounts)) {
       // emit event for global listeners
       if (this.globalSubscription) {
-        co.wrap(this._handleGlobalNotification).call(this, account, notification)
+        this.adminPlugin._track(co.wrap(this._handleGlobalNotification).call(this, account, notification))
           .catch(err => {
             debug('error in global event handler for %s: %s', account,
               (err && err.stack) ? err.stack : err)
@@ -110,7 +171,7 @@ class PluginFactory extends EventEmitter2 {
       const plugin = this.plugins.get(username)
       if (!plugin) continue
       debug('sending notification to ' + account)
-      co.wrap(plugin._handleNotification).call(plugin, notification)
+      plugin._track(co.wrap(plugin._handleNotification).call(plugin, notification))
         .catch(err => {
           debug('error in event handlers for %s: %s', account,
             (err && err.stack) ? err.stack : err)
@@ -118,9 +179,47 @@ class PluginFactory extends EventEmitter2 {
     }
   }
 
-  disconnect () {
+  /**
+   * Replace the admin credentials, which are used by the admin plugin and all
+   * plugins created by this factory, without reconnecting.
+   *
+   * @param {Object} credentials See Plugin#updateCredentials
+   */
+  updateCredentials (credentials) {
+    if (this.adminPlugin) this.adminPlugin.updateCredentials(credentials)
+    for (const plugin of this.plugins.values()) {
+      plugin.updateCredentials(credentials)
+    }
+    // remember them for the plugins created from now on
+    this.credentialUpdates = Object.assign({}, this.credentialUpdates, credentials)
+  }
+
+  /**
+   * @param {Object} [options] See Plugin#disconnect. With `drain`, the admin
+   *   plugin and the plugins created by this factory are drained together,
+   *   before any of them is disconnected.
+   */
+  disconnect (options) {
+    if (options && options.timeout !== undefined && typeof options.timeout !== 'number') {
+      throw new TypeError('Expected options.timeout to be a number, received: ' + typeof options.timeout)
+    }
+    return co.wrap(this._disconnect).call(this, options)
+  }
+
+  * _disconnect (options) {
+    const plugins = Array.from(this.plugins.values())
+    if (options && options.drain) {
+      // the admin plugin makes the *As calls and receives the notifications
+      // and responses for all plugins, so it is drained along with them
+      yield [ this.adminPlugin ].concat(plugins)
+        .map((plugin) => co.wrap(plugin._drain).call(plugin, options.timeout))
+      options = Object.assign({}, options, { drain: false })
+    }
+    // the plugins' own disconnect() is stubbed out, since they share the
+    // admin plugin's connection
+    yield plugins.map((plugin) => Plugin.prototype.disconnect.call(plugin, options))
     debug('disconnecting admin plugin')
-    return this.adminPlugin.disconnect()
+    yield this.adminPlugin.disconnect(options)
   }
 
   // these doThingAs functions allow you to act as another user without
@@ -136,6 +235,17 @@ class PluginFactory extends EventEmitter2 {
     return this.adminPlugin.rejectIncomingTransfer(transferId, reason)
   }
 
+  getTransfersAs (user, options) {
+    if (!this.ready) {
+      throw new Error('Must be connected before getTransfersAs can be called')
+    }
+    if (this.adminPlugin.draining) {
+      throw new DisconnectedError('factory is disconnecting')
+    }
+    const account = this.ledgerContext.urls.account.replace(':name', encodeURIComponent(user))
+    return this.adminPlugin._listTransfers(account, options || {})
+  }
+
   getAccountAs (user) {
     return this.adminPlugin.getInfo().prefix + user
   }
@@ -200,8 +310,14 @@ class PluginFactory extends EventEmitter2 {
         password: this.adminPassword,
         account: this.adminAccount
       },
-      supportedAuth: this.supportedAuth
+      supportedAuth: this.supportedAuth,
+      metrics: this.metricsRegistry,
+      retry: this.retryOptions,
+      decodeIlp: this.decodeIlp,
+      allowCryptoConditions: this.allowCryptoConditions,
+      verifyNotifiedFulfillments: this.verifyNotifiedFulfillments
     })
+    if (this.credentialUpdates) plugin.updateCredentials(this.credentialUpdates)
 
     // 'connects' the plugin without really connecting it
     plugin.ready = true
@@ -210,12 +326,17 @@ class PluginFactory extends EventEmitter2 {
     plugin.disconnect = function () { return Promise.resolve(null) }
     plugin.connect = function () { return Promise.resolve(null) }
     plugin.isConnected = () => this.isConnected()
+    plugin.getConnectionState = () => this.getConnectionState()
+    plugin.getLatency = () => this.getLatency()
 
     plugin._getAuthToken = () => this.adminPlugin._getAuthToken()
+    plugin._invalidateAuthToken = () => this.adminPlugin._invalidateAuthToken()
 
     plugin.ledgerContext = this.ledgerContext
 
     this.plugins.set(username, plugin)
+    this.metrics.plugins.set({}, this.plugins.size)
+    this.metrics.accountPlugins.set({ account: this.getAccountAs(username) }, 1)
 
     if (!this.globalSubscription) {
       yield this._subscribeAccounts()
@@ -232,7 +353,10 @@ class PluginFactory extends EventEmitter2 {
     if (!this.plugins.get(username)) return Promise.resolve(null)
     // delete all listeners to stop memory leaks
     this.plugins.get(username).removeAllListeners()
+    this.plugins.get(username).expiryWatchdog.stop()
     this.plugins.delete(username)
+    this.metrics.plugins.set({}, this.plugins.size)
+    this.metrics.accountPlugins.set({ account: this.getAccountAs(username) }, 0)
     if (this.globalSubscription) {
       return Promise.resolve(null)
     } else {
@@ -266,20 +390,46 @@ class PluginFactory extends EventEmitter2 {
       })
   }
 
+  _replayMissedNotifications () {
+    return Promise.all(Array.from(this.plugins.values()).map((plugin) => {
+      // losing the shared connection stopped the plugins' expiry checks
+      for (let tracked of plugin.transferTracker.getInFlight()) {
+        plugin._watchExpiry(tracked.id)
+      }
+      return co.wrap(plugin._replayMissedNotifications).call(plugin)
+    }))
+  }
+
   * _handleGlobalNotification (account, notification) {
-    const eventParams = translateBellsToPluginApi(
+    const accountName = this.ledgerContext.accountUriToName(account)
+    const eventParams = translate.translateBellsToPluginApi(
       notification,
       account,
-      this.ledgerContext
+      this.ledgerContext,
+      this._translateOptions(accountName)
     )
 
+    const invalidFulfillment = this.verifyNotifiedFulfillments && translate.checkFulfillEvent(eventParams)
+    if (invalidFulfillment) {
+      this.emit('invalid_fulfillment', accountName, invalidFulfillment, eventParams[1], eventParams[2])
+      throw invalidFulfillment
+    }
+
     // Inject the account as the first parameter
     const eventType = eventParams[0]
     const eventAdditionalParams = eventParams.slice(1)
-    const accountName = this.ledgerContext.accountUriToName(account)
     const eventGlobalParams = [eventType, accountName].concat(eventAdditionalParams)
     yield this.emitAsync.apply(this, eventGlobalParams)
   }
+
+  // like Plugin#_translateOptions, with the account first for global listeners
+  _translateOptions (accountName) {
+    return {
+      allowCryptoConditions: this.allowCryptoConditions,
+      decodeIlp: this.decodeIlp,
+      onMalformedIlp: (err, object) => this.emit('malformed_ilp', accountName, err, object)
+    }
+  }
 }
 
 module.exports = PluginFactory
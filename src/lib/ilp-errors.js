@@ -0,0 +1,76 @@
+'use strict'
+
+const IlpPacket = require('ilp-packet')
+const IlpError = require('../errors/ilp-error')
+const isNil = require('lodash/fp/isNil')
+const omitNil = require('lodash/fp/omitBy')(isNil)
+
+/**
+ * Turn an IlpError into a rejection message, as passed to the ledger and
+ * emitted with `incoming_reject` and `outgoing_reject`.
+ *
+ * @param {IlpError} err
+ * @param {IlpAddress} triggeredBy Account rejecting the transfer
+ *
+ * @return {Object} Rejection message
+ */
+const toRejectionMessage = (err, triggeredBy) => ({
+  code: err.code,
+  name: err.ilpName,
+  message: err.message,
+  triggered_by: triggeredBy,
+  triggered_at: new Date().toISOString(),
+  additional_info: err.additionalInfo
+})
+
+/**
+ * Serialize an error into an ILP error packet. Errors other than IlpErrors
+ * become `F00 Bad Request`.
+ *
+ * @param {Error} err
+ * @param {IlpAddress} triggeredBy Account the error occurred at
+ *
+ * @return {String} Base64-encoded ILP error packet
+ */
+const toIlpErrorPacket = (err, triggeredBy) => {
+  const ilpError = err instanceof IlpError ? err : IlpError.badRequest(err.message)
+  return IlpPacket.serializeIlpError({
+    code: ilpError.code,
+    name: ilpError.ilpName,
+    triggeredBy: triggeredBy,
+    forwardedBy: [],
+    triggeredAt: new Date(),
+    data: JSON.stringify({message: ilpError.message})
+  }).toString('base64')
+}
+
+/**
+ * Bring a rejection message into the shape of the ones toRejectionMessage
+ * creates: missing names are looked up by code, and a plain string becomes the
+ * message of an `F00 Bad Request`.
+ *
+ * @param {Object|String} rejectionMessage
+ * @param {IlpAddress} [triggeredBy] Used if the message doesn't say
+ *
+ * @return {Object} Rejection message
+ */
+const normalizeRejectionMessage = (rejectionMessage, triggeredBy) => {
+  if (typeof rejectionMessage === 'string') {
+    rejectionMessage = { message: rejectionMessage }
+  }
+  const code = (rejectionMessage && typeof rejectionMessage.code === 'string')
+    ? rejectionMessage.code : 'F00'
+  return Object.assign(omitNil({
+    code: code,
+    name: IlpError.NAMES[code] || 'Unknown Error',
+    message: '',
+    triggered_by: triggeredBy,
+    additional_info: {}
+  }), rejectionMessage)
+}
+
+Object.assign(module.exports, {
+  toRejectionMessage,
+  toIlpErrorPacket,
+  normalizeRejectionMessage
+})
@@ -7,7 +7,7 @@ const ExternalError = require('../errors/external-error')
 const startsWith = require('lodash/fp/startsWith')
 
 const REQUIRED_LEDGER_URLS = [ 'transfer', 'transfer_fulfillment', 'transfer_rejection', 'account', 'auth_token', 'websocket', 'message' ]
-const OPTIONAL_LEDGER_URLS = [ 'transfer_fulfillment2' ]
+const OPTIONAL_LEDGER_URLS = [ 'transfer_fulfillment2', 'account_transfers' ]
 
 function parseAndValidateLedgerUrls (metadataUrls) {
   if (!metadataUrls) {
@@ -77,6 +77,20 @@ class LedgerContext {
     }
   }
 
+  /**
+   * Get the name of the ledger service a URI belongs to, e.g. "transfer" for
+   * "http://red.example/transfers/<id>", or "other" if there is none.
+   */
+  urlToEndpoint (uri) {
+    const path = parseURL(uri).pathname.split('/')
+    const endpoint = Object.keys(this.urls).find((service) => {
+      const templatePath = parseURL(this.urls[service]).pathname.split('/')
+      return templatePath.length === path.length &&
+        templatePath.every((part, i) => part.charAt(0) === ':' || part === path[i])
+    })
+    return endpoint || 'other'
+  }
+
   parseAddress (address) {
     const prefix = this.prefix
 
@@ -0,0 +1,230 @@
+'use strict'
+
+const DEFAULT_BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ]
+
+/**
+ * Minimal metrics registry with counters, gauges and histograms, which can
+ * render its contents in the Prometheus text exposition format.
+ *
+ * Any object with the same `counter`, `gauge` and `histogram` methods can be
+ * passed as `options.metrics` instead, e.g. an adapter for another metrics
+ * library.
+ */
+class MetricsRegistry {
+  constructor () {
+    this.metrics = new Map()
+  }
+
+  /**
+   * @param {String} name
+   * @param {String} help
+   * @returns {Counter} Instrument with `inc(labels, value)`
+   */
+  counter (name, help) {
+    return this._register(name, () => new Counter(name, help))
+  }
+
+  /**
+   * @returns {Gauge} Instrument with `set(labels, value)`, `inc` and `dec`
+   */
+  gauge (name, help) {
+    return this._register(name, () => new Gauge(name, help))
+  }
+
+  /**
+   * @param {Number[]} [buckets] Upper bounds of the buckets, in ascending order
+   * @returns {Histogram} Instrument with `observe(labels, value)`
+   */
+  histogram (name, help, buckets) {
+    return this._register(name, () => new Histogram(name, help, buckets || DEFAULT_BUCKETS))
+  }
+
+  /**
+   * @returns {String} Text exposition of all registered metrics
+   */
+  format () {
+    return Array.from(this.metrics.values())
+      .map((metric) => metric.format())
+      .join('')
+  }
+
+  _register (name, create) {
+    // Instruments are shared, e.g. between all plugins created by a factory
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, create())
+    }
+    return this.metrics.get(name)
+  }
+}
+
+class Metric {
+  constructor (name, type, help) {
+    this.name = name
+    this.type = type
+    this.help = help
+    this.values = new Map() // serialized labels ⇒ value
+  }
+
+  format () {
+    let text = '# HELP ' + this.name + ' ' + escapeHelp(this.help) + '\n' +
+      '# TYPE ' + this.name + ' ' + this.type + '\n'
+    for (let entry of this.values) {
+      text += this.formatValue(entry[0], entry[1])
+    }
+    return text
+  }
+
+  formatValue (labels, value) {
+    return this.name + labels + ' ' + value + '\n'
+  }
+}
+
+class Counter extends Metric {
+  constructor (name, help) {
+    super(name, 'counter', help)
+  }
+
+  inc (labels, value) {
+    const key = serializeLabels(labels)
+    this.values.set(key, (this.values.get(key) || 0) + (value === undefined ? 1 : value))
+  }
+}
+
+class Gauge extends Metric {
+  constructor (name, help) {
+    super(name, 'gauge', help)
+  }
+
+  set (labels, value) {
+    this.values.set(serializeLabels(labels), value)
+  }
+
+  inc (labels, value) {
+    const key = serializeLabels(labels)
+    this.values.set(key, (this.values.get(key) || 0) + (value === undefined ? 1 : value))
+  }
+
+  dec (labels, value) {
+    this.inc(labels, -(value === undefined ? 1 : value))
+  }
+}
+
+class Histogram extends Metric {
+  constructor (name, help, buckets) {
+    super(name, 'histogram', help)
+    this.buckets = buckets
+  }
+
+  observe (labels, value) {
+    const key = serializeLabels(labels)
+    let series = this.values.get(key)
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0, labels: labels || {} }
+      this.values.set(key, series)
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++
+    })
+    series.sum += value
+    series.count++
+  }
+
+  formatValue (labels, series) {
+    let text = ''
+    this.buckets.forEach((bound, i) => {
+      text += this.name + '_bucket' +
+        serializeLabels(Object.assign({}, series.labels, { le: String(bound) })) +
+        ' ' + series.counts[i] + '\n'
+    })
+    text += this.name + '_bucket' +
+      serializeLabels(Object.assign({}, series.labels, { le: '+Inf' })) +
+      ' ' + series.count + '\n'
+    text += this.name + '_sum' + labels + ' ' + series.sum + '\n'
+    text += this.name + '_count' + labels + ' ' + series.count + '\n'
+    return text
+  }
+}
+
+const noopInstrument = {
+  inc () {},
+  dec () {},
+  set () {},
+  observe () {}
+}
+
+// Used when no metrics registry is configured
+const noopMetrics = {
+  counter: () => noopInstrument,
+  gauge: () => noopInstrument,
+  histogram: () => noopInstrument
+}
+
+/**
+ * Create the instruments used by the plugin.
+ *
+ * @param {MetricsRegistry} [registry]
+ */
+function createPluginMetrics (registry) {
+  registry = registry || noopMetrics
+  return {
+    httpRequestDuration: registry.histogram(
+      'ilp_plugin_bells_http_request_duration_seconds',
+      'Duration of HTTP requests to the ledger, by endpoint'),
+    wsReconnects: registry.counter(
+      'ilp_plugin_bells_ws_reconnects_total',
+      'Number of websocket reconnection attempts'),
+    notificationDuration: registry.histogram(
+      'ilp_plugin_bells_notification_duration_seconds',
+      'Time spent processing ledger notifications, by event'),
+    pendingRequests: registry.gauge(
+      'ilp_plugin_bells_pending_requests',
+      'Number of sendRequest calls awaiting a response')
+  }
+}
+
+/**
+ * Create the instruments used by the plugin factory.
+ *
+ * @param {MetricsRegistry} [registry]
+ */
+function createFactoryMetrics (registry) {
+  registry = registry || noopMetrics
+  return {
+    plugins: registry.gauge(
+      'ilp_plugin_bells_factory_plugins',
+      'Number of per-account plugins held by the factory'),
+    accountPlugins: registry.gauge(
+      'ilp_plugin_bells_factory_account_plugin',
+      'Whether the factory holds a plugin for the account (1) or has removed it (0)')
+  }
+}
+
+/**
+ * @param {Array} start Result of process.hrtime()
+ * @returns {Number} Seconds elapsed since start
+ */
+function secondsSince (start) {
+  const elapsed = process.hrtime(start)
+  return elapsed[0] + elapsed[1] / 1e9
+}
+
+function serializeLabels (labels) {
+  const names = Object.keys(labels || {}).sort()
+  if (!names.length) return ''
+  return '{' + names.map((name) => name + '="' + escapeLabelValue(labels[name]) + '"').join(',') + '}'
+}
+
+function escapeLabelValue (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function escapeHelp (help) {
+  return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+}
+
+Object.assign(module.exports, {
+  MetricsRegistry,
+  createPluginMetrics,
+  createFactoryMetrics,
+  secondsSince
+})
@@ -0,0 +1,129 @@
+'use strict'
+
+const co = require('co')
+const request = require('co-request')
+const debug = require('debug')('ilp-plugin-bells:oauth2')
+const ExternalError = require('../errors/external-error')
+
+// request a new access token this long before the current one expires
+const defaultRefreshMargin = 30000
+
+/**
+ * Obtains access tokens from an OAuth2 / OpenID Connect token endpoint, using
+ * the refresh-token grant if a refresh token is configured and the
+ * client-credentials grant otherwise.
+ */
+class OAuth2Client {
+  /**
+   * @param {Object} options
+   * @param {String} options.tokenUrl Token endpoint
+   * @param {String} options.clientId
+   * @param {String} [options.clientSecret] Sent with HTTP basic authentication
+   * @param {String} [options.refreshToken] Use the refresh-token grant
+   * @param {String} [options.scope]
+   * @param {Number} [options.refreshMargin=30000] Milliseconds before expiry to refresh the access token
+   */
+  constructor (options) {
+    if (typeof options !== 'object') {
+      throw new TypeError('Expected options.oauth2 to be an object, received: ' + typeof options)
+    }
+    if (typeof options.tokenUrl !== 'string') {
+      throw new TypeError('Expected options.oauth2.tokenUrl to be a string, received: ' + typeof options.tokenUrl)
+    }
+    if (typeof options.clientId !== 'string') {
+      throw new TypeError('Expected options.oauth2.clientId to be a string, received: ' + typeof options.clientId)
+    }
+
+    this.tokenUrl = options.tokenUrl
+    this.clientId = options.clientId
+    this.clientSecret = options.clientSecret
+    this.refreshToken = options.refreshToken || null
+    this.scope = options.scope
+    this.refreshMargin = options.refreshMargin === undefined ? defaultRefreshMargin : options.refreshMargin
+
+    this.accessToken = null
+    this.expiresAt = null
+    this.pendingRequest = null
+  }
+
+  /**
+   * @returns {Promise<String>} A current access token
+   */
+  getAccessToken () {
+    if (this.hasCurrentAccessToken()) {
+      return Promise.resolve(this.accessToken)
+    }
+    return this.refresh()
+  }
+
+  hasCurrentAccessToken () {
+    return !!this.accessToken && (!this.expiresAt || Date.now() < this.expiresAt - this.refreshMargin)
+  }
+
+  /**
+   * Request a new access token. The current one is kept until it arrives.
+   *
+   * @returns {Promise<String>} The new access token
+   */
+  refresh () {
+    // share a single token request between concurrent callers
+    if (!this.pendingRequest) {
+      this.pendingRequest = co.wrap(this._requestAccessToken).call(this)
+        .then((token) => {
+          this.pendingRequest = null
+          return token
+        }, (err) => {
+          this.pendingRequest = null
+          throw err
+        })
+    }
+    return this.pendingRequest
+  }
+
+  /**
+   * Forget the current access token, e.g. because the ledger refused it.
+   */
+  invalidate () {
+    this.accessToken = null
+    this.expiresAt = null
+  }
+
+  * _requestAccessToken () {
+    const form = this.refreshToken
+      ? { grant_type: 'refresh_token', refresh_token: this.refreshToken }
+      : { grant_type: 'client_credentials' }
+    if (this.scope) form.scope = this.scope
+    if (!this.clientSecret) form.client_id = this.clientId
+
+    debug('requesting access token from ' + this.tokenUrl + ' (' + form.grant_type + ' grant)')
+    let res
+    try {
+      res = yield request(Object.assign({
+        method: 'post',
+        uri: this.tokenUrl,
+        form: form,
+        json: true
+      }, this.clientSecret ? {
+        auth: { user: this.clientId, pass: this.clientSecret }
+      } : {}))
+    } catch (err) {
+      throw new ExternalError('Unable to get access token from ' + this.tokenUrl + ': ' + err.message)
+    }
+
+    const body = res.body || {}
+    if (res.statusCode !== 200 || typeof body.access_token !== 'string') {
+      throw new ExternalError('Unable to get access token from ' + this.tokenUrl +
+        ': status=' + res.statusCode + (body.error ? ' error=' + body.error : ''))
+    }
+
+    this.accessToken = body.access_token
+    this.expiresAt = body.expires_in ? Date.now() + body.expires_in * 1000 : null
+    // the server may rotate the refresh token
+    if (body.refresh_token && this.refreshToken) {
+      this.refreshToken = body.refresh_token
+    }
+    return this.accessToken
+  }
+}
+
+module.exports = OAuth2Client
@@ -7,26 +7,52 @@ const WebSocket = require('ws')
 const reconnectCore = require('reconnect-core')
 const BigNumber = require('bignumber.js')
 const uuid = require('uuid/v4')
-const IlpPacket = require('ilp-packet')
 const debug = require('debug')('ilp-plugin-bells:plugin')
 const errors = require('../errors')
 const ExternalError = require('../errors/external-error')
 const UnreachableError = require('../errors/unreachable-error')
+const EventEmitter = require('events').EventEmitter
 const EventEmitter2 = require('eventemitter2').EventEmitter2
 const isNil = require('lodash/fp/isNil')
 const omitNil = require('lodash/fp/omitBy')(isNil)
 const translate = require('./translate')
 const LedgerContext = require('./ledger-context')
+const journal = require('./transfer-journal')
+const TransferTracker = require('./transfer-tracker')
+const TransferIterator = require('./transfer-iterator')
+const RetryPolicy = require('./retry-policy')
+const ReconnectPolicy = require('./reconnect-policy')
+const ExpiryWatchdog = require('./expiry-watchdog')
+const timers = require('./timers')
+const CredentialFiles = require('./credential-files')
+const OAuth2Client = require('./oauth2-client')
+const ConnectionState = require('./connection-state')
+const AbortController = require('./abort-controller')
+const ResponseStream = require('./response-stream')
+const RequestRouter = require('./request-router')
+const ilpErrors = require('./ilp-errors')
+const createPluginMetrics = require('./metrics').createPluginMetrics
+const secondsSince = require('./metrics').secondsSince
 const util = require('util')
+const isEqual = require('lodash/isEqual')
 
 const accountBackoffMin = 1000
 const accountBackoffMax = 30000
 const defaultConnectTimeout = 60000
-const wsReconnectDelayMin = 10
-const wsReconnectDelayMax = 500
-const wsPingInterval = 30000
+const defaultPingInterval = 30000
 const defaultMessageTimeout = 5000
 const defaultAuthTokenMaxAge = 7 * 24 * 60 * 60 * 1000 // one week
+const authTokenRefreshMargin = 60000
+// tokens that expire sooner than this are only renewed when they're needed
+const minRefreshedTokenLifetime = 10000
+const defaultExpiryGracePeriod = 5000
+const journalRecordMaxAge = 24 * 60 * 60 * 1000 // of transfers in a final state
+const defaultDrainTimeout = 10000
+// Node versions without async iteration can use the key polyfills register
+const asyncIteratorSymbol = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+
+// fields that can be replaced with updateCredentials()
+const CREDENTIAL_FIELDS = [ 'username', 'password', 'cert', 'key', 'ca' ]
 
 class FiveBellsLedger extends EventEmitter2 {
   constructor (options) {
@@ -67,13 +93,38 @@ class FiveBellsLedger extends EventEmitter2 {
       key: options.key,
       ca: options.ca
     }
-    this.supportedAuth = options.supportedAuth || null
+
+    // optional: load the TLS client credentials from files, which are watched
+    // for changes while connected so that certificates can be rotated
+    const credentialPaths = credentialFilePaths(options.credentials || options)
+    this.credentialFiles = null
+    if (Object.keys(credentialPaths).length) {
+      this.credentialFiles = new CredentialFiles(credentialPaths,
+        (credentials) => this.updateCredentials(credentials),
+        options.credentialFilesInterval)
+      this.credentials = Object.assign({}, this.credentials, this.credentialFiles.load())
+    }
+
+    // optional: get bearer tokens from an OAuth2 token endpoint instead of
+    // the ledger's auth_token endpoint
+    this.oauth2 = options.oauth2 ? new OAuth2Client(options.oauth2) : null
+    this.supportedAuth = options.supportedAuth || (this.oauth2 ? 'oauth2' : null)
     this.authToken = null
     this.authTokenDate = null
     this.authTokenMaxAge = defaultAuthTokenMaxAge
+    this.authTokenRefreshTimer = null
+    // token in the websocket URL; replaced if the ledger refuses it
+    this.websocketToken = null
     this.connector = options.connector || null
 
     this.debugReplyNotifications = options.debugReplyNotifications || false
+    // optional: attach the parsed ILP packet to notified transfers and messages
+    this.decodeIlp = !!options.decodeIlp
+    // optional: accept crypto-conditions other than PREIMAGE-SHA-256 hashlocks
+    this.allowCryptoConditions = !!options.allowCryptoConditions
+    // optional: drop fulfill notifications whose fulfillment doesn't match the
+    // transfer's condition
+    this.verifyNotifiedFulfillments = !!options.verifyNotifiedFulfillments
     this.rpcId = 1
 
     this.connection = null
@@ -82,13 +133,88 @@ class FiveBellsLedger extends EventEmitter2 {
     this.ready = false
     // `connected` is set while a websocket connection is active.
     this.connected = false
+    // which stage of connecting to the ledger we're in, see getConnectionState()
+    this.connectionState = new ConnectionState()
     this.ws = null
     this.pendingRequests = {} // { messageId ⇒ TODO
     this.requestHandler = null
+    // middleware and routes for incoming requests, see use() and route()
+    this.router = new RequestRouter()
+    // messageId ⇒ AbortController of the incoming requests being handled
+    this.incomingRequests = new Map()
+    // promises of the ledger calls and notification handlers in progress,
+    // which disconnect({ drain: true }) waits for
+    this.operations = new Set()
+    // set while draining; no new calls are accepted
+    this.draining = false
+
+    // optional: a MetricsRegistry (or compatible object) to record
+    // request latencies, reconnects and notification processing times in
+    this.metrics = createPluginMetrics(options.metrics)
+
+    // optional: retry transfer, fulfillment, rejection and message requests
+    // that fail with a socket error or a transient status code
+    this.retryPolicy = new RetryPolicy(options.retry)
+
+    // optional: how often to reopen a lost websocket, and when to give up
+    this.reconnectPolicy = new ReconnectPolicy(options.reconnect)
+    // when the websocket was lost, while reconnecting
+    this.outageStart = null
+
+    // ping the ledger every `pingInterval` ms and reopen the websocket if it
+    // doesn't answer within `pongTimeout` ms
+    this.pingInterval = options.pingInterval === undefined ? defaultPingInterval : options.pingInterval
+    this.pongTimeout = options.pongTimeout === undefined ? this.pingInterval : options.pongTimeout
+    if (typeof this.pingInterval !== 'number' || !(this.pingInterval > 0)) {
+      throw new TypeError('Expected options.pingInterval to be a positive number, received: ' + this.pingInterval)
+    }
+    if (typeof this.pongTimeout !== 'number' || !(this.pongTimeout > 0)) {
+      throw new TypeError('Expected options.pongTimeout to be a positive number, received: ' + this.pongTimeout)
+    }
+    // round-trip time of the last ping, in milliseconds
+    this.latency = null
+
+    // optional: record outgoing transfers so they can be recovered after a crash
+    this.transferJournal = journal.createTransferJournal(options.transferJournal)
+
+    // remember in-flight transfers so that updates missed while the websocket
+    // was down can be fetched from the ledger after reconnecting
+    this.transferTracker = new TransferTracker()
+    this.on('connect', () => {
+      // disconnecting stopped the expiry checks
+      for (let tracked of this.transferTracker.getInFlight()) {
+        this._watchExpiry(tracked.id)
+      }
+      // one after the other, so that a transfer that is both tracked and
+      // journaled only has its events emitted once
+      co.wrap(this._replayMissedNotifications).call(this).catch((err) => {
+        debug('error replaying missed notifications:', (err && err.stack) ? err.stack : err)
+      }).then(() => {
+        if (!this.transferJournal) return
+        return this.recoverPendingTransfers().catch((err) => {
+          debug('error recovering pending transfers:', (err && err.stack) ? err.stack : err)
+        })
+      })
+    })
+
+    // if the ledger's notification for an expired transfer doesn't arrive
+    // within the grace period, ask the ledger for the transfer's state
+    const expiryGracePeriod = options.expiryGracePeriod === undefined
+      ? defaultExpiryGracePeriod : options.expiryGracePeriod
+    if (typeof expiryGracePeriod !== 'number' || !(expiryGracePeriod > 0)) {
+      throw new TypeError('Expected options.expiryGracePeriod to be a positive number, received: ' +
+        expiryGracePeriod)
+    }
+    this.expiryWatchdog = new ExpiryWatchdog((transferId) => {
+      co.wrap(this._checkExpiredTransfer).call(this, transferId).catch((err) => {
+        debug('error checking expired transfer ' + transferId + ':', (err && err.stack) ? err.stack : err)
+      })
+    }, expiryGracePeriod)
+
     this.on('incoming_message', (message, messageId) =>
-      co.wrap(this._handleIncomingMessage).call(this, message, messageId))
+      this._track(co.wrap(this._handleIncomingMessage).call(this, message, messageId)))
     this.on('_rpc:notification', (notif) =>
-      co.wrap(this._handleNotification).call(this, notif))
+      this._track(co.wrap(this._handleNotification).call(this, notif)))
   }
 
   connect (options) {
@@ -103,6 +229,7 @@ class FiveBellsLedger extends EventEmitter2 {
       })
       .catch((err) => {
         this.connecting = false
+        this._setConnectionState('failed', err.message)
         this.emit('_connect:done', err)
         throw err
       })
@@ -110,7 +237,8 @@ class FiveBellsLedger extends EventEmitter2 {
 
   // Connect to the websocket and then subscribe to account notifications
   * _connect (options) {
-    if (this.ready) {
+    // after disconnect() there's no connection, and connect() starts a new one
+    if (this.ready && this.connection) {
       debug('already connected, ignoring connection request')
       return Promise.resolve(null)
     }
@@ -126,6 +254,11 @@ class FiveBellsLedger extends EventEmitter2 {
       })
     }
     this.connecting = true
+    this._setConnectionState('fetching-metadata', 'connect() called')
+    if (this.supportedAuth === 'oauth2' && !this.oauth2) {
+      throw new Error('Expected options.oauth2 to be set for supportedAuth "oauth2"')
+    }
+    if (this.credentialFiles) this.credentialFiles.start()
 
     if (this.identifier) {
       const newOptions = yield resolveWebfingerOptions(this.identifier)
@@ -200,27 +333,40 @@ class FiveBellsLedger extends EventEmitter2 {
 
     this.ready = true
 
-    const notificationsUrl = this.ledgerContext.urls.websocket + '?token=' +
-                                encodeURIComponent(yield this._getAuthToken())
+    this._setConnectionState('authenticating')
+    this.websocketToken = yield this._getAuthToken()
+    this._setConnectionState('ws-connecting')
     yield this._connectToWebsocket({
-      timeout: options.timeout,
-      uri: notificationsUrl
+      timeout: options.timeout
     })
   }
 
+  _websocketUri () {
+    return this.ledgerContext.urls.websocket + '?token=' + encodeURIComponent(this.websocketToken)
+  }
+
   _connectToWebsocket (options) {
-    const wsUri = options.uri
+    const wsUri = this.ledgerContext.urls.websocket
     const timeout = options.timeout
+    const backoff = this.reconnectPolicy.createBackoff()
     const reconnectOptions = {
       immediate: true,
-      // reconnect ASAP and don't stop trying...ever
-      initialDelay: wsReconnectDelayMin,
-      maxDelay: wsReconnectDelayMax,
-      failAfter: Infinity
+      // make sure each reconnect attempt uses a current token, since the old
+      // one may have expired, been revoked or been refreshed in the meantime
+      strategy: beforeEachAttempt(backoff, () => {
+        if (this._hasCurrentAuthToken()) {
+          this.websocketToken = this._currentAuthToken()
+          return null
+        }
+        return co.wrap(this._refreshWebsocketToken).call(this).catch((err) => {
+          debug('error getting a new auth token for the websocket:', err.message)
+          this.emit('auth_error', err)
+        })
+      })
     }
 
     const reconnect = reconnectCore(() => {
-      return new WebSocket(wsUri)
+      return new WebSocket(this._websocketUri())
     })
 
     // reject if the timeout occurs before the websocket is successfully established
@@ -254,6 +400,7 @@ class FiveBellsLedger extends EventEmitter2 {
               if (this.connected) {
                 return resolve(null)
               } else {
+                this._setConnectionState('subscribing')
                 return this._subscribeAccounts([this.account])
                   .catch((err) => {
                     debug('error (re)subscribing to account ' + this.account, err)
@@ -261,6 +408,10 @@ class FiveBellsLedger extends EventEmitter2 {
                   })
                   .then(() => {
                     debug('plugin connected to: ' + wsUri)
+                    // the next outage gets the full number of attempts again
+                    backoff.reset()
+                    this.outageStart = null
+                    this._setConnectionState('connected')
                     this.emit('connect')
                     this.connected = true
                     return resolve(null)
@@ -307,21 +458,47 @@ class FiveBellsLedger extends EventEmitter2 {
           .on('connect', (ws) => {
             this.ws = ws
           })
-          .on('disconnect', () => {
+          .on('disconnect', (err) => {
             debug('plugin disconnected from: ' + wsUri)
             this.connected = false
             // remove listeners so we don't have duplicate event handlers when the ws reconnects
             this.ws.removeAllListeners()
             this.ws = null
+            const reconnecting = !!(this.connection && this.connection.reconnect)
+            this._setConnectionState(reconnecting ? 'reconnecting' : 'idle',
+              err instanceof Error ? err.message : 'websocket closed')
             this.emit('disconnect')
+
+            if (reconnecting && !this.outageStart) this.outageStart = Date.now()
+          })
+          .on('backoff', (n, delay) => {
+            if (this.reconnectPolicy.isOutageTooLong(this.outageStart, delay)) {
+              const err = new UnreachableError('gave up reconnecting to ' + wsUri + ' after ' +
+                (Date.now() - this.outageStart) + 'ms')
+              reject(err)
+              this._stopReconnecting(err)
+            }
+          })
+          .on('fail', () => {
+            const err = new UnreachableError('gave up reconnecting to ' + wsUri + ' after ' +
+              this.reconnectPolicy.maxAttempts + ' attempts')
+            reject(err)
+            this._stopReconnecting(err)
           })
           .on('reconnect', (n, delay) => {
+            this._setConnectionState('ws-connecting')
             if (n > 0) {
+              this.metrics.wsReconnects.inc()
               debug('ws reconnect to ' + wsUri + ' in ' + delay + 'ms (attempt ' + n + ')')
             }
           })
           .on('error', (err) => {
             debug('ws error on ' + wsUri + ':', err)
+            if (isAuthRejection(err)) {
+              // a new token is requested before the next reconnect attempt
+              this._invalidateAuthToken()
+              this.emit('auth_error', err)
+            }
             reject(err)
           })
           .connect()
@@ -329,21 +506,168 @@ class FiveBellsLedger extends EventEmitter2 {
     ])
   }
 
-  disconnect () {
-    if (!this.connection) return Promise.resolve(null)
+  // called when the reconnect policy gives up; the plugin stays disconnected
+  _stopReconnecting (err) {
+    debug(err.message)
+    const connection = this.connection
+    this.connection = null
+    this.outageStart = null
+    if (connection) connection.disconnect()
+    this._setConnectionState('failed', err.message)
+    this.emit('reconnect_failed', err)
+    // an 'error' event nobody listens for would throw
+    if (this.listenerCount('error') > 0) this.emit('error', err)
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {Boolean} [options.drain=false] Stop accepting new calls and wait for
+   *   the ledger calls and notification handlers in progress to finish first
+   * @param {Number} [options.timeout=10000] How long to wait for them, in milliseconds
+   * @returns {Promise<null>} Resolves once the plugin is disconnected. Pending
+   *   `sendRequest` calls are rejected with a `DisconnectedError`.
+   */
+  disconnect (options) {
+    const timeout = (options && options.timeout) || defaultDrainTimeout
+    if (typeof timeout !== 'number') {
+      throw new TypeError('Expected options.timeout to be a number, received: ' + typeof timeout)
+    }
+    return co.wrap(this._disconnect).call(this, !!(options && options.drain), timeout)
+  }
+
+  * _disconnect (drain, timeout) {
+    this._setConnectionState('disconnecting', 'disconnect() called')
+    if (drain) {
+      yield this._drain(timeout)
+    }
+    this._rejectPendingRequests(new errors.DisconnectedError('plugin disconnected'))
+
+    this.expiryWatchdog.stop()
+    timers.clearTimer(this.authTokenRefreshTimer)
+    this.authTokenRefreshTimer = null
+    if (this.credentialFiles) this.credentialFiles.stop()
+    if (!this.connection || !this.ws) {
+      // between reconnect attempts there's no websocket that could emit 'disconnect'
+      if (this.connection) this.connection.disconnect()
+      this.connection = null
+      this.draining = false
+      this._setConnectionState('idle', 'disconnect() called')
+      return null
+    }
     const disconnected = new Promise((resolve) => {
       this.once('disconnect', resolve)
     })
 
     this.connection.disconnect()
     this.connection = null
-    return disconnected
+    yield disconnected
+    this.draining = false
+    return null
+  }
+
+  /**
+   * Stop accepting new calls and wait for the ones in progress to settle.
+   *
+   * @param {Number} timeout Milliseconds to wait at most
+   */
+  * _drain (timeout) {
+    this.draining = true
+    timeout = timeout || defaultDrainTimeout
+    const deadline = Date.now() + timeout
+    // notification handlers may start further operations while we wait
+    while (this.operations.size) {
+      const remaining = deadline - Date.now()
+      const settled = Promise.all(Array.from(this.operations).map((operation) => operation.catch(() => null)))
+      if (remaining <= 0 || (yield Promise.race([ settled.then(() => false), wait(remaining, true).then(() => true) ]))) {
+        debug('gave up waiting for ' + this.operations.size + ' operations to finish after ' + timeout + 'ms')
+        return
+      }
+    }
+  }
+
+  /**
+   * Keep track of a ledger call or notification handler in progress.
+   *
+   * @param {Promise} operation
+   * @returns {Promise} The same promise
+   */
+  _track (operation) {
+    this.operations.add(operation)
+    const done = () => this.operations.delete(operation)
+    operation.then(done, done)
+    return operation
+  }
+
+  // wraps the public methods that call the ledger
+  _operation (generator, args) {
+    if (this.draining) {
+      return Promise.reject(new errors.DisconnectedError('plugin is disconnecting'))
+    }
+    return this._track(co.wrap(generator).apply(this, args))
+  }
+
+  _rejectPendingRequests (err) {
+    for (let requestId of Object.keys(this.pendingRequests)) {
+      const pendingRequest = this.pendingRequests[requestId]
+      this._removePendingRequest(requestId)
+      pendingRequest.reject(err)
+    }
   }
 
   isConnected () {
     return this.connected
   }
 
+  /**
+   * @returns {Number|null} Round-trip time of the last websocket ping in
+   *   milliseconds, or null if no ping has been answered yet
+   */
+  getLatency () {
+    return this.latency
+  }
+
+  /**
+   * @returns {Object} `{ state, reason, attempt, since }`, where `state` is one of
+   *   idle, fetching-metadata, authenticating, ws-connecting, subscribing,
+   *   connected, reconnecting, disconnecting or failed, and `attempt` counts
+   *   the reconnect attempts since the websocket was last connected.
+   */
+  getConnectionState () {
+    return this.connectionState.toJSON()
+  }
+
+  _setConnectionState (state, reason) {
+    const change = this.connectionState.transition(state, reason)
+    if (change) this.emit('state_change', change)
+  }
+
+  /**
+   * Replace the credentials used to authenticate to the ledger without
+   * reconnecting, e.g. to rotate a password or client certificate. They are
+   * used from the next request on; a new auth token is requested with them.
+   *
+   * @param {Object} credentials
+   * @param {String} [credentials.username]
+   * @param {String} [credentials.password]
+   * @param {String|Buffer} [credentials.cert]
+   * @param {String|Buffer} [credentials.key]
+   * @param {String|Buffer} [credentials.ca]
+   */
+  updateCredentials (credentials) {
+    if (!credentials || typeof credentials !== 'object') {
+      throw new TypeError('Expected credentials to be an object, received: ' + typeof credentials)
+    }
+    const unknown = Object.keys(credentials).filter((field) => CREDENTIAL_FIELDS.indexOf(field) === -1)
+    if (unknown.length) {
+      throw new errors.InvalidFieldsError('Unknown credentials field: ' + unknown.join(', '))
+    }
+
+    debug('updating credentials:', Object.keys(credentials).join(', '))
+    this.credentials = Object.assign({}, this.credentials, credentials)
+    // the cached token was issued for the old credentials
+    this._invalidateAuthToken()
+  }
+
   getInfo () {
     if (!this.ready) {
       throw new Error('Must be connected before getInfo can be called')
@@ -357,9 +681,11 @@ class FiveBellsLedger extends EventEmitter2 {
       throw new ExternalError('Unable to determine ledger metadata')
     }
 
+    // an OAuth2 gateway in front of the ledger won't let anonymous requests through
+    const auth = this.supportedAuth === 'oauth2' ? {bearer: yield this._getAuthToken()} : undefined
     let res
     try {
-      res = yield request(host, {json: true})
+      res = yield request(host, omitNil({json: true, auth}))
     } catch (e) {
       if (!res || res.statusCode !== 200) {
         debug('_fetchLedgerMetadata error %s', e)
@@ -384,7 +710,7 @@ class FiveBellsLedger extends EventEmitter2 {
   }
 
   getBalance () {
-    return co.wrap(this._getBalance).call(this)
+    return this._operation(this._getBalance, [])
   }
 
   * _getBalance () {
@@ -424,40 +750,142 @@ class FiveBellsLedger extends EventEmitter2 {
     this.requestHandler = null
   }
 
+  /**
+   * Add middleware that every incoming request passes through before it is
+   * routed. It is called with `(message, options, next)`, and can return a
+   * response itself or `next()`, the promise of the response from the rest of
+   * the chain.
+   *
+   * @param {Function} middleware
+   * @returns {PluginBells} this
+   */
+  use (middleware) {
+    this.router.use(middleware)
+    return this
+  }
+
+  /**
+   * Handle incoming requests with an ILP packet of the given type (a number,
+   * or a name from IlpPacket.Type like 'TYPE_ILQP_LIQUIDITY_REQUEST'), or for
+   * which the given predicate returns true, with `handler`. Requests go to the
+   * first route that matches, and to the request handler if none does.
+   *
+   * @param {Integer|String|Function} matcher
+   * @param {Function} handler Called like a request handler
+   * @returns {PluginBells} this
+   */
+  route (matcher, handler) {
+    this.router.route(matcher, handler)
+    return this
+  }
+
   * _handleIncomingMessage (message, messageId) {
     const pendingRequest = this.pendingRequests[messageId]
     // `message` is a ResponseMessage
     if (pendingRequest) {
-      delete this.pendingRequests[messageId]
+      // responses to a streaming request keep it pending until the last part
+      if (!pendingRequest.addPart) this._removePendingRequest(messageId)
       yield this.emitAsync('incoming_response', message)
-      pendingRequest.resolve(message)
+      if (pendingRequest.addPart) {
+        pendingRequest.addPart(message)
+      } else {
+        pendingRequest.resolve(message)
+      }
       return
     }
-    // `message` is a RequestMessage
+    // `message` tells us the sender cancelled a request
+    if (message.custom && message.custom.cancelRequest === true) {
+      const incomingRequest = this.incomingRequests.get(messageId)
+      if (incomingRequest) {
+        debug('request ' + messageId + ' was cancelled by ' + message.from)
+        incomingRequest.abort()
+      }
+      return
+    }
+    // `message` is a RequestMessage; the request handler can watch `signal`
+    // to stop working on it if the sender cancels it
+    const stream = !!message.custom && message.custom.streamRequest === true
+    if (stream) message = withoutCustomField(message, 'streamRequest')
+    const controller = new AbortController()
+    this.incomingRequests.set(messageId, controller)
+    try {
+      const responseMessage = yield this._handleIncomingRequest(message, controller.signal, stream)
+      if (!responseMessage) return
+      if (stream) {
+        return yield this._sendResponseStream(message, messageId, responseMessage, controller.signal)
+      }
+      if (controller.signal.aborted) {
+        debug('not responding to cancelled request ' + messageId)
+        return
+      }
+      yield this.emitAsync('outgoing_response', responseMessage)
+      return yield this._sendMessage(Object.assign({id: messageId}, responseMessage))
+    } finally {
+      this.incomingRequests.delete(messageId)
+    }
+  }
+
+  * _handleIncomingRequest (message, signal, stream) {
     yield this.emitAsync('incoming_request', message)
-    if (!this.requestHandler) return
-    const responseMessage = yield this.requestHandler(message).then((responseMessage) => {
+    if ((!this.requestHandler && this.router.isEmpty()) || signal.aborted) return null
+    return yield this.router.handle(message, { signal, stream }, this.requestHandler).then((responseMessage) => {
       if (!responseMessage) {
         throw new Error('No matching handler for request')
       }
+      if (!stream && isResponseStream(responseMessage)) {
+        throw new Error('Request handler returned a stream, but the request was not sent with sendRequestStream')
+      }
       return responseMessage
-    }).catch((err) => {
-      return {
-        ledger: message.ledger,
-        from: message.to,
-        to: message.from,
-        ilp: IlpPacket.serializeIlpError({
-          code: 'F00',
-          name: 'Bad Request',
-          triggeredBy: this.getAccount(),
-          forwardedBy: [],
-          triggeredAt: new Date(),
-          data: JSON.stringify({message: err.message})
-        }).toString('base64')
+    }).catch((err) => this._errorResponse(message, err))
+  }
+
+  // handlers can throw an IlpError to choose the code; other errors are F00
+  _errorResponse (message, err) {
+    return {
+      ledger: message.ledger,
+      from: message.to,
+      to: message.from,
+      ilp: ilpErrors.toIlpErrorPacket(err, this.getAccount())
+    }
+  }
+
+  // Sends the responses to a streaming request one by one, numbered with
+  // `custom.streamPart.seq`, followed by an end marker. A handler that fails
+  // halfway through ends the stream with an error response.
+  * _sendResponseStream (message, messageId, responses, signal) {
+    const iterator = responseIterator(isResponseStream(responses) ? responses : [ responses ])
+    let seq = 0
+    const sendPart = (responseMessage, part) => this._sendMessage(Object.assign({}, responseMessage, {
+      id: messageId,
+      custom: Object.assign({}, responseMessage.custom, { streamPart: part })
+    }))
+
+    try {
+      while (!signal.aborted) {
+        const next = yield Promise.resolve(iterator.next())
+        if (next.done) break
+        const responseMessage = yield Promise.resolve(next.value)
+        yield this.emitAsync('outgoing_response', responseMessage)
+        // parts are sent one at a time, so the ledger gets them in order
+        yield sendPart(responseMessage, { seq: seq++ })
       }
-    })
-    yield this.emitAsync('outgoing_response', responseMessage)
-    return yield this._sendMessage(Object.assign({id: messageId}, responseMessage))
+    } catch (err) {
+      debug('error streaming responses to request ' + messageId + ':', err.message)
+      if (!signal.aborted) {
+        yield sendPart(this._errorResponse(message, err), { seq: seq++ })
+      }
+    }
+
+    if (signal.aborted) {
+      debug('stopped streaming responses to cancelled request ' + messageId)
+      if (typeof iterator.return === 'function') iterator.return()
+      return
+    }
+    yield sendPart({
+      ledger: message.ledger,
+      from: message.to,
+      to: message.from
+    }, { seq, end: true })
   }
 
   /**
@@ -468,33 +896,165 @@ class FiveBellsLedger extends EventEmitter2 {
    * @param {Object} [message.custom]
    * @param {Integer} [message.timeout] milliseconds
    * @param {Uuid} [message.id]
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Cancels the request when aborted
+   * @param {Boolean} [options.notifyPeer=false] Tell the recipient when the request is cancelled
    * @returns {Promise.<ResponseMessage>}
    */
-  sendRequest (message) {
-    return co.wrap(this._sendRequest).call(this, message)
+  sendRequest (message, options) {
+    return co.wrap(this._sendRequest).call(this, message, options || {})
   }
 
-  * _sendRequest (message) {
+  * _sendRequest (message, options) {
+    if (this.draining) {
+      throw new errors.DisconnectedError('plugin is disconnecting')
+    }
     const requestId = message.id || uuid()
+    const signal = options.signal
+    if (signal && signal.aborted) {
+      throw new errors.RequestCancelledError('request ' + requestId + ' was cancelled')
+    }
+
+    let onAbort
     const responded = new Promise((resolve, reject) => {
-      this.pendingRequests[requestId] = {resolve, reject}
-      this._sendMessage(Object.assign({id: requestId}, message)).catch((err) => {
-        delete this.pendingRequests[requestId]
+      const fail = (err) => {
+        this._removePendingRequest(requestId)
         reject(err)
-      })
+      }
+      this._addPendingRequest(requestId, {resolve, reject})
+      try {
+        // only the ledger call is drained; the response is left to wait for
+        this._track(this._sendMessage(Object.assign({id: requestId}, message))).catch(fail)
+      } catch (err) {
+        // _sendMessage throws right away for invalid messages
+        fail(err)
+        return
+      }
+
+      if (signal) {
+        onAbort = () => {
+          if (!this.pendingRequests[requestId]) return
+          debug('request ' + requestId + ' was cancelled')
+          this._removePendingRequest(requestId)
+          reject(new errors.RequestCancelledError('request ' + requestId + ' was cancelled'))
+          if (options.notifyPeer) this._notifyCancelledRequest(requestId, message)
+        }
+        signal.addEventListener('abort', onAbort)
+      }
     })
 
     debug('sending request:', JSON.stringify(message))
 
-    yield this.emitAsync('outgoing_request', message)
-    return yield Promise.race([
-      responded,
-      wait(message.timeout || defaultMessageTimeout)
-        .then(() => {
-          delete this.pendingRequests[requestId]
-          throw new Error('sendRequest timed out')
-        })
-    ])
+    try {
+      yield this.emitAsync('outgoing_request', message)
+      return yield Promise.race([
+        responded,
+        wait(message.timeout || defaultMessageTimeout)
+          .then(() => {
+            this._removePendingRequest(requestId)
+            throw new Error('sendRequest timed out')
+          })
+      ])
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort)
+    }
+  }
+
+  /**
+   * Send a request the recipient may answer with any number of responses. Its
+   * request handler is called with `{ stream: true }` and can return an
+   * iterable, or async iterable, of ResponseMessages instead of one.
+   *
+   * @param {RequestMessage} message See sendRequest
+   * @param {Integer} [message.timeout] milliseconds to wait for each response
+   * @param {Object} [options] See sendRequest
+   * @returns {ResponseStream} Readable object stream of the ResponseMessages
+   *   in the order they were sent. It ends after the last response, and emits
+   *   an error if the request fails, times out or is cancelled.
+   */
+  sendRequestStream (message, options) {
+    const stream = new ResponseStream()
+    co.wrap(this._sendRequestStream).call(this, message, options || {}, stream)
+      .catch((err) => stream.fail(err))
+    return stream
+  }
+
+  * _sendRequestStream (message, options, stream) {
+    if (this.draining) {
+      throw new errors.DisconnectedError('plugin is disconnecting')
+    }
+    const requestId = message.id || uuid()
+    const signal = options.signal
+    if (signal && signal.aborted) {
+      throw new errors.RequestCancelledError('request ' + requestId + ' was cancelled')
+    }
+
+    let timer
+    const finish = () => {
+      clearTimeout(timer)
+      this._removePendingRequest(requestId)
+      if (signal) signal.removeEventListener('abort', onAbort)
+    }
+    const fail = (err) => {
+      finish()
+      stream.fail(err)
+    }
+    const resetTimer = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => fail(new Error('sendRequestStream timed out')),
+        message.timeout || defaultMessageTimeout)
+    }
+    const onAbort = () => {
+      if (!this.pendingRequests[requestId]) return
+      debug('request ' + requestId + ' was cancelled')
+      fail(new errors.RequestCancelledError('request ' + requestId + ' was cancelled'))
+      if (options.notifyPeer) this._notifyCancelledRequest(requestId, message)
+    }
+
+    this._addPendingRequest(requestId, {
+      addPart: (responseMessage) => {
+        resetTimer()
+        if (stream.addPart(responseMessage)) finish()
+      },
+      reject: fail
+    })
+    if (signal) signal.addEventListener('abort', onAbort)
+    resetTimer()
+
+    debug('sending streaming request:', JSON.stringify(message))
+
+    try {
+      yield this.emitAsync('outgoing_request', message)
+      yield this._track(this._sendMessage(Object.assign({}, message, {
+        id: requestId,
+        custom: Object.assign({}, message.custom, { streamRequest: true })
+      })))
+    } catch (err) {
+      fail(err)
+    }
+  }
+
+  // called from the signal's abort listener, so it must not throw into abort()
+  _notifyCancelledRequest (requestId, message) {
+    this._track(Promise.resolve().then(() => this._sendMessage({
+      id: requestId,
+      ledger: message.ledger,
+      to: message.to,
+      custom: { cancelRequest: true }
+    }))).catch((err) => {
+      debug('error notifying ' + message.to + ' of cancelled request ' + requestId + ':', err.message)
+    })
+  }
+
+  _addPendingRequest (requestId, pendingRequest) {
+    if (!this.pendingRequests[requestId]) this.metrics.pendingRequests.inc()
+    this.pendingRequests[requestId] = pendingRequest
+  }
+
+  _removePendingRequest (requestId) {
+    if (!this.pendingRequests[requestId]) return
+    delete this.pendingRequests[requestId]
+    this.metrics.pendingRequests.dec()
   }
 
   _sendMessage (paramMessage) {
@@ -534,7 +1094,7 @@ class FiveBellsLedger extends EventEmitter2 {
     debug('converted to ledger message: ' + JSON.stringify(fiveBellsMessage))
 
     return co(function * () {
-      const sendRes = yield this._requestWithCredentials({
+      const sendRes = yield this._requestWithRetry({
         method: 'post',
         uri: this.ledgerContext.urls.message,
         body: fiveBellsMessage,
@@ -554,7 +1114,7 @@ class FiveBellsLedger extends EventEmitter2 {
   }
 
   sendTransfer (transfer) {
-    return co.wrap(this._sendTransfer).call(this, transfer)
+    return this._operation(this._sendTransfer, [ transfer ])
   }
 
   * _sendTransfer (paramTransfer) {
@@ -563,6 +1123,13 @@ class FiveBellsLedger extends EventEmitter2 {
     if (!this.ready) {
       throw new Error('Must be connected before sendTransfer can be called')
     }
+    let creditsTotal
+    if (transfer.credits !== undefined) {
+      creditsTotal = validateCredits(transfer.credits)
+      // `to` and `amount` default to the first recipient and the total
+      if (transfer.to === undefined) transfer.to = transfer.credits[0].to
+      if (transfer.amount === undefined) transfer.amount = creditsTotal.toString()
+    }
     if (typeof transfer.to !== 'string') {
       // check for deprecated Transfer format, from before https://github.com/interledger/rfcs/commit/61958f54c268e5a52e1b85f090df02646b0dda38
       if (typeof transfer.account === 'string') {
@@ -573,16 +1140,18 @@ class FiveBellsLedger extends EventEmitter2 {
         throw new errors.InvalidFieldsError('invalid to field')
       }
     }
-    if (typeof transfer.amount !== 'string' ||
-     +transfer.amount <= 0 ||
-     transfer.amount.indexOf('.') !== -1) { // integers only
+    if (!isValidAmount(transfer.amount)) {
       throw new errors.InvalidFieldsError('invalid amount')
     }
+    if (creditsTotal && !creditsTotal.equals(transfer.amount)) {
+      throw new errors.InvalidFieldsError('amount does not match the sum of credits')
+    }
 
     const fiveBellsTransfer = translate.translatePluginApiToBells(
       transfer,
       this.account,
-      this.ledgerContext
+      this.ledgerContext,
+      this._translateOptions()
     )
 
     // If Atomic mode, add destination transfer to notification targets
@@ -597,29 +1166,45 @@ class FiveBellsLedger extends EventEmitter2 {
         })
 
         if (res.statusCode !== 200) {
-          throw new Error('Unexpected status code: ' + res.statusCode)
+          debug('error adding case notification target:', res.statusCode, JSON.stringify(res.body))
+          throw transferError(res)
         }
       }
     }
 
+    const journaled = this.transferJournal
+      ? yield this.transferJournal.propose(transfer)
+      : false
+
     debug('submitting transfer: ', JSON.stringify(fiveBellsTransfer))
 
-    const sendRes = yield this._requestWithCredentials({
+    let retried = false
+    const sendRes = yield this._requestWithRetry({
       method: 'put',
       uri: fiveBellsTransfer.id,
       body: fiveBellsTransfer,
       json: true
-    })
+    }, () => { retried = true })
     const body = sendRes.body
-    if (sendRes.statusCode >= 400) {
+    // An earlier attempt may have reached the ledger even though we didn't
+    // get its response, in which case the retry is refused as a duplicate
+    const alreadySubmitted = retried && sendRes.statusCode >= 400 &&
+      body && body.id === 'InvalidModificationError' &&
+      (yield this._isSubmittedTransfer(transfer.id, fiveBellsTransfer))
+    if (alreadySubmitted) {
+      debug('transfer ' + transfer.id + ' was already submitted by an earlier attempt')
+    } else if (sendRes.statusCode >= 400) {
       debug('error submitting transfer:', sendRes.statusCode, JSON.stringify(body))
-      if (body.id === 'InvalidBodyError') throw new errors.InvalidFieldsError(body.message)
-      if (body.id === 'InvalidModificationError') throw new errors.DuplicateIdError(body.message)
-      if (body.id === 'InsufficientFundsError') throw new errors.InsufficientBalanceError(body.message)
-      if (body.id === 'UnprocessableEntityError' && /Account .* does not exist/.test(body.message)) {
-        throw new errors.AccountNotFoundError(body.message)
+      // The ledger refused the transfer, so there is nothing left in flight.
+      // A duplicate id, though, may belong to a transfer that really is.
+      if (journaled && !(body && body.id === 'InvalidModificationError')) {
+        yield this.transferJournal.remove(transfer.id)
       }
-      throw new errors.NotAcceptedError(body.message)
+      throw transferError(sendRes)
+    }
+
+    if (this.transferJournal) {
+      yield this.transferJournal.update(transfer.id, journal.STATE_SUBMITTED)
     }
 
     // TODO: If already executed, fetch fulfillment and forward to source
@@ -627,27 +1212,77 @@ class FiveBellsLedger extends EventEmitter2 {
     return null
   }
 
+  * _isSubmittedTransfer (transferId, fiveBellsTransfer) {
+    let stored
+    try {
+      stored = yield this._fetchTransfer(transferId)
+    } catch (err) {
+      debug('could not fetch transfer ' + transferId + ' to compare it:', err.message)
+      return false
+    }
+    return isSameTransfer(fiveBellsTransfer, stored)
+  }
+
   fulfillCondition (transferId, conditionFulfillment, fulfillmentData) {
-    return co.wrap(this._fulfillCondition).call(this, transferId, conditionFulfillment, fulfillmentData)
+    return this._operation(this._fulfillCondition, [ transferId, conditionFulfillment, fulfillmentData ])
   }
 
   * _fulfillCondition (transferId, conditionFulfillment, fulfillmentData) {
     if (!this.ready) {
       throw new Error('Must be connected before fulfillCondition can be called')
     }
+    this._checkFulfillment(transferId, conditionFulfillment, 'executionCondition')
+    return yield this._submitFulfillment(transferId, conditionFulfillment, fulfillmentData)
+  }
+
+  /**
+   * Reject a transfer by fulfilling its cancellation condition, e.g. with the
+   * fulfillment of a notary case that was rejected (atomic mode).
+   *
+   * @param {String} transferId
+   * @param {String} cancellationFulfillment
+   * @param {String} [fulfillmentData]
+   * @returns {Promise<null>}
+   */
+  cancelTransfer (transferId, cancellationFulfillment, fulfillmentData) {
+    return this._operation(this._cancelTransfer, [ transferId, cancellationFulfillment, fulfillmentData ])
+  }
+
+  * _cancelTransfer (transferId, cancellationFulfillment, fulfillmentData) {
+    if (!this.ready) {
+      throw new Error('Must be connected before cancelTransfer can be called')
+    }
+    this._checkFulfillment(transferId, cancellationFulfillment, 'cancellationCondition')
+    return yield this._submitFulfillment(transferId, cancellationFulfillment, fulfillmentData)
+  }
 
+  // save the ledger a request it would refuse, if we know the condition
+  _checkFulfillment (transferId, conditionFulfillment, conditionField) {
+    const tracked = this.transferTracker.get(transferId)
+    if (!tracked || !tracked[conditionField]) return
+    const condition = translate.translateFromCryptoCondition(tracked[conditionField], true)
+    if (translate.fulfillsCondition(conditionFulfillment, condition) === false) {
+      throw new errors.NotAcceptedError('Fulfillment does not match the ' +
+        (conditionField === 'executionCondition' ? 'condition' : 'cancellation condition') +
+        ' of transfer ' + transferId)
+    }
+  }
+
+  // The ledger executes or rejects the transfer depending on which of its
+  // conditions the fulfillment matches
+  * _submitFulfillment (transferId, conditionFulfillment, fulfillmentData) {
     const supportsFulfillmentData = !!this.ledgerContext.urls.transfer_fulfillment2
     const url = this.ledgerContext.urls[supportsFulfillmentData ? 'transfer_fulfillment2' : 'transfer_fulfillment']
     const fulfillment = supportsFulfillmentData
       ? {
-        condition_fulfillment: translate.translateToCryptoFulfillment(conditionFulfillment),
+        condition_fulfillment: translate.translateToCryptoFulfillment(conditionFulfillment, this.allowCryptoConditions),
         fulfillment_data: fulfillmentData
       }
-      : translate.translateToCryptoFulfillment(conditionFulfillment)
+      : translate.translateToCryptoFulfillment(conditionFulfillment, this.allowCryptoConditions)
 
     debug('submitting fulfillment for transfer:', transferId, 'fulfillment:', conditionFulfillment, 'fulfillmentdata:', fulfillmentData)
 
-    const fulfillmentRes = yield this._requestWithCredentials({
+    const fulfillmentRes = yield this._requestWithRetry({
       method: 'put',
       uri: url.replace(':id', transferId),
       body: fulfillment,
@@ -664,9 +1299,13 @@ class FiveBellsLedger extends EventEmitter2 {
       if (body.id === 'TransferNotConditionalError') throw new errors.TransferNotConditionalError(body.message)
       if (body.id === 'NotFoundError') throw new errors.TransferNotFoundError(body.message)
       if (body.id === 'InvalidModificationError' &&
-       body.message === 'Transfers in state rejected may not be executed') {
+       /^Transfers in state rejected may not be/.test(body.message)) {
         throw new errors.AlreadyRolledBackError(body.message)
       }
+      if (body.id === 'InvalidModificationError' &&
+       /^Transfers in state executed may not be/.test(body.message)) {
+        throw new errors.AlreadyFulfilledError(body.message)
+      }
     }
 
     // TODO check the timestamp the ledger sends back
@@ -685,7 +1324,7 @@ class FiveBellsLedger extends EventEmitter2 {
    * @returns {Promise<String>}
    */
   getFulfillment (transferId) {
-    return co.wrap(this._getFulfillment).call(this, transferId)
+    return this._operation(this._getFulfillment, [ transferId ])
   }
 
   * _getFulfillment (transferId) {
@@ -708,7 +1347,9 @@ class FiveBellsLedger extends EventEmitter2 {
       throw new ExternalError('Remote error: message=' + err.message)
     }
 
-    if (res.statusCode === 200) return translate.translateFromCryptoFulfillment(res.body)
+    if (res.statusCode === 200) {
+      return translate.translateFromCryptoFulfillment(res.body, this.allowCryptoConditions)
+    }
     debug('error getting fulfillment: ' + res.statusCode + ' ' + JSON.stringify(res.body))
     if (res.statusCode >= 400 && res.body) {
       if (res.body.id === 'MissingFulfillmentError') throw new errors.MissingFulfillmentError(res.body.message)
@@ -722,18 +1363,222 @@ class FiveBellsLedger extends EventEmitter2 {
 
   /**
    * @param {String} transferId
-   * @param {RejectionMessage} rejectionMessage
+   * @returns {Promise<Transfer>} Plugin API transfer, including its `direction`
+   *   and its current `state` (proposed, prepared, executed or rejected)
+   */
+  getTransfer (transferId) {
+    return this._operation(this._getTransfer, [ transferId ])
+  }
+
+  * _getTransfer (transferId) {
+    if (!this.ready) {
+      throw new Error('Must be connected before getTransfer can be called')
+    }
+    const fiveBellsTransfer = yield this._fetchTransfer(transferId)
+    const transfer = translate.translateTransfer(fiveBellsTransfer, this.account, this.ledgerContext,
+      this._translateOptions())
+    if (!transfer) {
+      throw new errors.TransferNotFoundError('Transfer ' + transferId +
+        ' does not debit or credit account ' + this.account)
+    }
+    return Object.assign(transfer, { state: fiveBellsTransfer.state })
+  }
+
+  * _fetchTransfer (transferId) {
+    const transferUri = this.ledgerContext.urls.transfer.replace(':id', transferId)
+    debug('get transfer: ' + transferUri)
+    let res
+    try {
+      res = yield this._requestWithCredentials({
+        method: 'get',
+        uri: transferUri,
+        json: true
+      })
+    } catch (err) {
+      throw new ExternalError('Remote error: message=' + err.message)
+    }
+
+    if (res.statusCode === 200) return res.body
+    debug('error getting transfer: ' + res.statusCode + ' ' + JSON.stringify(res.body))
+    const body = res.body || {}
+    if (res.statusCode === 404 || body.id === 'NotFoundError' || body.id === 'TransferNotFoundError') {
+      throw new errors.TransferNotFoundError(body.message || 'Transfer ' + transferId + ' not found')
+    }
+    if (body.id === 'InvalidUriParameterError') throw new errors.InvalidFieldsError(body.message)
+    if (body.id === 'UnauthorizedError' || body.id === 'ForbiddenError') {
+      throw new errors.NotAcceptedError(body.message)
+    }
+    throw new ExternalError('Remote error: status=' + res.statusCode)
+  }
+
+  /**
+   * Create a case at a notary, for use in the `cases` of an atomic-mode
+   * transfer. Once the case's execution condition is fulfilled, or it expires,
+   * the notary submits the matching fulfillment to the transfers it notifies.
+   *
+   * @param {String} notaryUri
+   * @param {Object} notaryCase
+   * @param {String} [notaryCase.id] Defaults to a new UUID
+   * @param {String} notaryCase.executionCondition
+   * @param {String} notaryCase.expiresAt
+   * @param {String[]} [notaryCase.notificationTargets] Transfer fulfillment URIs
+   * @returns {Promise<String>} URI of the case
+   */
+  createCase (notaryUri, notaryCase) {
+    return this._operation(this._createCase, [ notaryUri, notaryCase ])
+  }
+
+  * _createCase (notaryUri, notaryCase) {
+    if (!notaryCase || !notaryCase.executionCondition || !notaryCase.expiresAt) {
+      throw new errors.InvalidFieldsError('a case needs an executionCondition and expiresAt')
+    }
+    const caseUri = notaryUri.replace(/\/$/, '') + '/cases/' + (notaryCase.id || uuid())
+    debug('create case: ' + caseUri)
+    const res = yield this._requestCase({
+      method: 'put',
+      uri: caseUri,
+      body: translate.translateCaseToNotary(notaryCase, caseUri, notaryUri),
+      json: true
+    })
+    if (res.statusCode === 200 || res.statusCode === 201) return caseUri
+    throw caseError(res)
+  }
+
+  /**
+   * @param {String} caseUri
+   * @returns {Promise<Object>} The case, with its `state` at the notary
+   */
+  getCase (caseUri) {
+    return this._operation(this._getCase, [ caseUri ])
+  }
+
+  * _getCase (caseUri) {
+    debug('get case: ' + caseUri)
+    const res = yield this._requestCase({
+      method: 'get',
+      uri: caseUri,
+      json: true
+    })
+    if (res.statusCode === 200) return translate.translateCaseFromNotary(res.body)
+    if (res.statusCode === 404) throw new errors.CaseNotFoundError('Case ' + caseUri + ' not found')
+    throw caseError(res)
+  }
+
+  * _requestCase (opts) {
+    try {
+      // notaries don't take the ledger's credentials
+      return yield request(opts)
+    } catch (err) {
+      throw new ExternalError('Remote error: message=' + err.message)
+    }
+  }
+
+  /**
+   * List past transfers of this account.
+   *
+   * The ledger must advertise an `account_transfers` url, which responds with
+   * `{ transfers, cursor }` where `cursor` is omitted on the last page.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.since] ISO 8601 timestamp of the earliest transfer
+   * @param {String} [options.until] ISO 8601 timestamp of the latest transfer
+   * @param {String} [options.state] Only list transfers in this state
+   * @param {String} [options.direction] Only list incoming or outgoing transfers
+   * @param {Number} [options.limit] Maximum number of transfers to return
+   * @param {Number} [options.pageSize] Number of transfers to request from the
+   *   ledger at a time
+   * @param {String} [options.cursor] Resume a previous listing
+   * @returns {TransferIterator} Async iterator of plugin API transfers
+   */
+  getTransfers (options) {
+    if (!this.ready) {
+      throw new Error('Must be connected before getTransfers can be called')
+    }
+    if (this.draining) {
+      throw new errors.DisconnectedError('plugin is disconnecting')
+    }
+    return this._listTransfers(this.account, options || {})
+  }
+
+  _listTransfers (account, options) {
+    if (!this.ledgerContext.urls.account_transfers) {
+      throw new errors.NotAcceptedError('ledger does not support listing transfers')
+    }
+    if (options.direction && options.direction !== 'incoming' && options.direction !== 'outgoing') {
+      throw new errors.InvalidFieldsError('invalid direction')
+    }
+    if (options.limit !== undefined && !(options.limit > 0)) {
+      throw new errors.InvalidFieldsError('invalid limit')
+    }
+    if (options.pageSize !== undefined && !(options.pageSize > 0)) {
+      throw new errors.InvalidFieldsError('invalid pageSize')
+    }
+
+    const listUri = this.ledgerContext.urls.account_transfers
+      .replace(':name', encodeURIComponent(this.ledgerContext.accountUriToName(account)))
+    const fetchPage = function * (cursor) {
+      debug('list transfers: ' + listUri + ' cursor: ' + cursor)
+      let res
+      try {
+        res = yield this._requestWithCredentials({
+          method: 'get',
+          uri: listUri,
+          qs: omitNil({
+            since: options.since,
+            until: options.until,
+            state: options.state,
+            limit: options.pageSize,
+            cursor: cursor
+          }),
+          json: true
+        })
+      } catch (err) {
+        throw new ExternalError('Remote error: message=' + err.message)
+      }
+
+      if (res.statusCode !== 200) {
+        debug('error listing transfers: ' + res.statusCode + ' ' + JSON.stringify(res.body))
+        const body = res.body || {}
+        if (body.id === 'InvalidUriParameterError') throw new errors.InvalidFieldsError(body.message)
+        if (body.id === 'NotFoundError') throw new errors.AccountNotFoundError(body.message)
+        if (body.id === 'UnauthorizedError') throw new errors.NotAcceptedError(body.message)
+        throw new ExternalError('Remote error: status=' + res.statusCode)
+      }
+
+      const transfers = []
+      for (let fiveBellsTransfer of res.body.transfers || []) {
+        const transfer = translate.translateTransfer(fiveBellsTransfer, account, this.ledgerContext,
+          this._translateOptions())
+        if (!transfer) continue
+        if (options.direction && transfer.direction !== options.direction) continue
+        transfers.push(Object.assign(transfer, { state: fiveBellsTransfer.state }))
+      }
+      return { transfers, cursor: res.body.cursor }
+    }
+
+    // like any other ledger call, so draining waits for the page and refuses
+    // the ones after it
+    return new TransferIterator((cursor) => this._operation(fetchPage, [ cursor ]), options)
+  }
+
+  /**
+   * @param {String} transferId
+   * @param {RejectionMessage|IlpError|String} rejectionMessage Missing fields
+   *   are filled in, with this account as `triggered_by`
    * @returns {Promise<null>}
    */
   rejectIncomingTransfer (transferId, rejectionMessage) {
-    return co.wrap(this._rejectIncomingTransfer).call(this, transferId, rejectionMessage)
+    return this._operation(this._rejectIncomingTransfer, [ transferId, rejectionMessage ])
   }
 
   * _rejectIncomingTransfer (transferId, rejectionMessage) {
     if (!this.ready) {
       throw new Error('Must be connected before rejectIncomingTransfer can be called')
     }
-    const rejectionRes = yield this._requestWithCredentials({
+    rejectionMessage = rejectionMessage instanceof errors.IlpError
+      ? ilpErrors.toRejectionMessage(rejectionMessage, this.getAccount())
+      : ilpErrors.normalizeRejectionMessage(rejectionMessage, this.getAccount())
+    const rejectionRes = yield this._requestWithRetry({
       method: 'put',
       uri: this.ledgerContext.urls.transfer_rejection.replace(':id', transferId),
       body: rejectionMessage,
@@ -807,22 +1652,264 @@ class FiveBellsLedger extends EventEmitter2 {
   }
 
   * _handleNotification (notification) {
+    const start = process.hrtime()
+    try {
+      yield this._processNotification(notification)
+    } finally {
+      this.metrics.notificationDuration.observe({ event: notification.event }, secondsSince(start))
+    }
+  }
+
+  * _processNotification (notification) {
     const eventParams = translate.translateBellsToPluginApi(
       notification,
       this.account,
-      this.ledgerContext
+      this.ledgerContext,
+      this._translateOptions()
     )
 
+    // checked before anything is updated, so the transfer is still in flight
+    // as far as the plugin is concerned
+    const invalidFulfillment = this.verifyNotifiedFulfillments && translate.checkFulfillEvent(eventParams)
+    if (invalidFulfillment) {
+      this.emit('invalid_fulfillment', invalidFulfillment, eventParams[1], eventParams[2])
+      throw invalidFulfillment
+    }
+
+    if (notification.event === 'transfer.create' || notification.event === 'transfer.update') {
+      this._watchExpiry(this.transferTracker.observe(this.account, notification.resource))
+    }
+
     debug('got notification:', JSON.stringify(notification), ', translated to plugin event:', eventParams)
+    // journaled first, so recoverPendingTransfers doesn't emit the event again
+    // while the handlers are still running
+    if (this.transferJournal) {
+      yield this._journalOutgoingEvent(eventParams)
+    }
     yield this.emitAsync.apply(this, eventParams)
   }
 
+  _translateOptions () {
+    return {
+      allowCryptoConditions: this.allowCryptoConditions,
+      decodeIlp: this.decodeIlp,
+      // the event is still emitted, without `ilpPacket`
+      onMalformedIlp: (err, object) => this.emit('malformed_ilp', err, object)
+    }
+  }
+
+  * _journalOutgoingEvent (eventParams) {
+    const eventType = eventParams[0]
+    const transfer = eventParams[1]
+    if (eventType === 'outgoing_transfer' || eventType === 'outgoing_fulfill') {
+      yield this.transferJournal.update(transfer.id, 'executed')
+    } else if (eventType === 'outgoing_reject' || eventType === 'outgoing_cancel') {
+      yield this.transferJournal.update(transfer.id, 'rejected')
+    }
+  }
+
+  /**
+   * Check the transfers we last saw in flight against the ledger and emit the
+   * events for any state changes that happened while we were disconnected.
+   *
+   * Messages sent while the websocket was down cannot be recovered, since the
+   * ledger doesn't store them.
+   */
+  * _replayMissedNotifications () {
+    const transfers = this.transferTracker.getInFlight()
+    if (!transfers.length) return
+    debug('checking ' + transfers.length + ' in-flight transfers for missed notifications')
+
+    for (let tracked of transfers) {
+      yield this._checkTrackedTransfer(tracked)
+    }
+  }
+
+  /**
+   * Fetch a tracked transfer from the ledger and emit the event for its
+   * current state if it differs from the state we last saw.
+   *
+   * @returns {String|null} The transfer's state on the ledger, if known
+   */
+  * _checkTrackedTransfer (tracked) {
+    let notification
+    try {
+      notification = yield this._fetchTransferNotification(tracked.id)
+    } catch (err) {
+      if (err instanceof errors.TransferNotFoundError) {
+        this.transferTracker.forget(tracked.id)
+        this.expiryWatchdog.unwatch(tracked.id)
+      }
+      debug('unable to check transfer ' + tracked.id + ':', err.message)
+      return null
+    }
+
+    // a live notification may have arrived while we were fetching
+    const current = this.transferTracker.get(tracked.id)
+    const state = notification.resource.state
+    if (!current || current.state === state) return state
+
+    debug('replaying missed update for transfer ' + tracked.id + ': ' + current.state + ' -> ' + state)
+    try {
+      yield this._handleNotification(notification)
+    } catch (err) {
+      debug('error replaying update for transfer ' + tracked.id + ':', (err && err.stack) ? err.stack : err)
+    }
+    return state
+  }
+
+  _watchExpiry (transferId) {
+    const tracked = this.transferTracker.get(transferId)
+    if (tracked && tracked.expiresAt) {
+      this.expiryWatchdog.watch(transferId, tracked.expiresAt)
+    } else {
+      this.expiryWatchdog.unwatch(transferId)
+    }
+  }
+
+  * _checkExpiredTransfer (transferId) {
+    const tracked = this.transferTracker.get(transferId)
+    if (!tracked) {
+      this.expiryWatchdog.unwatch(transferId)
+      return
+    }
+    const state = yield this._checkTrackedTransfer(tracked)
+
+    // a final transfer whose update couldn't be processed stays tracked, but
+    // there is no point in checking on it again
+    if (this.transferTracker.get(transferId) && state !== 'executed' && state !== 'rejected') {
+      // the ledger hasn't expired the transfer yet, so check again later
+      debug('transfer ' + transferId + ' is still ' + tracked.state + ' on the ledger')
+      this.expiryWatchdog.recheck(transferId)
+    } else {
+      this.expiryWatchdog.unwatch(transferId)
+    }
+  }
+
+  /**
+   * Look up every journaled transfer whose outcome we haven't seen yet and
+   * emit the `outgoing_fulfill`, `outgoing_reject` or `outgoing_cancel` events
+   * that were missed while the plugin wasn't running.
+   *
+   * @returns {Promise<null>}
+   */
+  recoverPendingTransfers () {
+    return co.wrap(this._recoverPendingTransfers).call(this)
+  }
+
+  * _recoverPendingTransfers () {
+    if (!this.ready) {
+      throw new Error('Must be connected before recoverPendingTransfers can be called')
+    }
+    if (!this.transferJournal) return null
+
+    const records = yield this.transferJournal.listPending()
+    debug('recovering ' + records.length + ' pending transfers')
+    for (let record of records) {
+      let notification
+      try {
+        notification = yield this._fetchTransferNotification(record.id)
+      } catch (err) {
+        if (err instanceof errors.TransferNotFoundError &&
+          record.state === journal.STATE_PROPOSED) {
+          debug('transfer ' + record.id + ' never reached the ledger')
+          yield this.transferJournal.remove(record.id)
+        } else {
+          debug('unable to recover transfer ' + record.id + ':', err.message)
+        }
+        continue
+      }
+
+      const state = notification.resource.state
+      if (!journal.isFinalState(state)) {
+        if (record.state === journal.STATE_PROPOSED) {
+          yield this.transferJournal.update(record.id, journal.STATE_SUBMITTED)
+        }
+        continue
+      }
+
+      let eventParams
+      try {
+        eventParams = translate.translateBellsToPluginApi(
+          notification,
+          this.account,
+          this.ledgerContext,
+          this._translateOptions()
+        )
+      } catch (err) {
+        debug('unable to translate recovered transfer ' + record.id + ':', err.message)
+        continue
+      }
+      if (!eventParams) {
+        debug('unable to determine outcome of transfer ' + record.id)
+        continue
+      }
+      // a notification may have reported the outcome while we were fetching
+      const current = yield this.transferJournal.get(record.id)
+      if (!current || journal.isFinalState(current.state)) continue
+      this._watchExpiry(this.transferTracker.observe(this.account, notification.resource))
+
+      debug('recovered transfer ' + record.id + ', emitting ' + eventParams[0])
+      yield this.transferJournal.update(record.id, state)
+      yield this.emitAsync.apply(this, eventParams)
+    }
+    yield this.transferJournal.prune(journalRecordMaxAge)
+    return null
+  }
+
+  /**
+   * Fetch a transfer from the ledger and wrap it the way it would have been
+   * delivered in a `transfer.update` notification.
+   */
+  * _fetchTransferNotification (transferId) {
+    const fiveBellsTransfer = yield this._fetchTransfer(transferId)
+    const relatedResources = {}
+    if (fiveBellsTransfer.state === 'executed' && fiveBellsTransfer.execution_condition) {
+      const fulfillmentRes = yield this._requestWithCredentials({
+        method: 'get',
+        uri: this.ledgerContext.urls.transfer_fulfillment.replace(':id', transferId),
+        json: true,
+        headers: {
+          'Accept': '*/*'
+        }
+      })
+      if (fulfillmentRes.statusCode === 200) {
+        relatedResources.execution_condition_fulfillment = fulfillmentRes.body
+      }
+    }
+
+    return {
+      event: 'transfer.update',
+      resource: fiveBellsTransfer,
+      related_resources: relatedResources
+    }
+  }
+
+  _hasCurrentAuthToken () {
+    if (this.supportedAuth === 'oauth2') return this.oauth2.hasCurrentAccessToken()
+    return !!this.authToken && Date.now() - this.authTokenDate < this.authTokenMaxAge
+  }
+
+  _currentAuthToken () {
+    return this.supportedAuth === 'oauth2' ? this.oauth2.accessToken : this.authToken
+  }
+
   * _getAuthToken () {
+    if (this.supportedAuth === 'oauth2') {
+      const accessToken = yield this.oauth2.getAccessToken()
+      if (!this.authTokenRefreshTimer && this.oauth2.expiresAt) {
+        this._scheduleAuthTokenRefresh(this.oauth2.expiresAt)
+      }
+      return accessToken
+    }
     // Check for a valid auth token before requesting one.
-    const authTokenAge = Date.now() - this.authTokenDate
-    if (this.authToken && authTokenAge < this.authTokenMaxAge) {
+    if (this._hasCurrentAuthToken()) {
       return this.authToken
     }
+    return yield this._fetchAuthToken()
+  }
+
+  * _fetchAuthToken () {
     const authTokenRes = yield request(Object.assign(
       requestCredentials(this.credentials), {
         method: 'get',
@@ -833,23 +1920,123 @@ class FiveBellsLedger extends EventEmitter2 {
     if (!this.authToken) throw new Error('Unable to get auth token from ledger')
     this.authTokenDate = Date.now()
     this.authTokenMaxAge = (body && body.token_max_age) || this.authTokenMaxAge
+    this._scheduleAuthTokenRefresh(this.authTokenDate + this.authTokenMaxAge)
     return this.authToken
   }
 
-  _requestRetry (requestOptions, retryOptions) {
-    return requestRetry(Object.assign({}, requestCredentials(this.credentials), requestOptions),
+  _invalidateAuthToken () {
+    this.authToken = null
+    this.authTokenDate = null
+    if (this.oauth2) this.oauth2.invalidate()
+  }
+
+  /**
+   * Get a new token shortly before the current one expires, so that requests
+   * don't have to wait for it. Short-lived tokens aren't refreshed in the
+   * background, since that would mean asking for a new one all the time.
+   *
+   * @param {Number} expiresAt Timestamp at which the current token expires
+   */
+  _scheduleAuthTokenRefresh (expiresAt) {
+    timers.clearTimer(this.authTokenRefreshTimer)
+    this.authTokenRefreshTimer = null
+    const lifetime = expiresAt - Date.now()
+    if (!(lifetime >= minRefreshedTokenLifetime)) return
+    const delay = lifetime > 2 * authTokenRefreshMargin
+      ? lifetime - authTokenRefreshMargin
+      : lifetime / 2
+    this.authTokenRefreshTimer = timers.setTimerAt(() => {
+      this.authTokenRefreshTimer = null
+      co.wrap(this._refreshAuthToken).call(this).catch((err) => {
+        debug('error refreshing auth token:', err.message)
+      })
+    }, Date.now() + delay)
+  }
+
+  * _refreshAuthToken () {
+    if (this.supportedAuth === 'oauth2') {
+      yield this.oauth2.refresh()
+      if (this.oauth2.expiresAt) this._scheduleAuthTokenRefresh(this.oauth2.expiresAt)
+    } else if (this.supportedAuth === 'token') {
+      yield this._fetchAuthToken()
+    }
+  }
+
+  * _refreshWebsocketToken () {
+    this.websocketToken = yield this._getAuthToken()
+  }
+
+  * _requestRetry (requestOptions, retryOptions) {
+    // an OAuth2 gateway in front of the ledger won't accept basic auth
+    const token = this.supportedAuth === 'oauth2' ? yield this._getAuthToken() : null
+    return yield requestRetry(Object.assign({}, requestCredentials(this.credentials, token), requestOptions),
       retryOptions)
   }
 
   * _requestWithCredentials (options) {
+    const res = yield this._requestWithAuth(options)
+    if (isTokenRejection(res) &&
+        (this.supportedAuth === 'token' || this.supportedAuth === 'oauth2')) {
+      // the ledger may have restarted or revoked the token before it expired
+      debug('auth token was rejected, retrying with a new one: ' + options.uri)
+      this._invalidateAuthToken()
+      return yield this._requestWithAuth(options)
+    }
+    return res
+  }
+
+  * _requestWithAuth (options) {
     let requestCreds = null
-    if (this.supportedAuth === 'token') {
+    if (this.supportedAuth === 'token' || this.supportedAuth === 'oauth2') {
       requestCreds = requestCredentials(this.credentials, yield this._getAuthToken())
     } else if ((this.supportedAuth === 'basic')) {
       requestCreds = requestCredentials(this.credentials)
     }
 
-    return yield request(Object.assign(requestCreds, options))
+    const start = process.hrtime()
+    let status = 'error'
+    try {
+      const res = yield request(Object.assign(requestCreds, options))
+      status = res.statusCode
+      return res
+    } finally {
+      this.metrics.httpRequestDuration.observe({
+        method: (options.method || 'get').toUpperCase(),
+        endpoint: this.ledgerContext ? this.ledgerContext.urlToEndpoint(options.uri) : 'other',
+        status: status
+      }, secondsSince(start))
+    }
+  }
+
+  /**
+   * Make a request, retrying it according to the configured retry policy.
+   *
+   * @param {Object} options Request options
+   * @param {Function} [onRetry] Called before each retry
+   * @returns {Promise<Object>} The last response
+   */
+  * _requestWithRetry (options, onRetry) {
+    const start = Date.now()
+    for (let attempt = 1; ; attempt++) {
+      let res
+      let error
+      try {
+        res = yield this._requestWithCredentials(options)
+      } catch (err) {
+        error = err
+      }
+      if (res && !this.retryPolicy.isRetryableResponse(res)) return res
+      if (!this.retryPolicy.canRetry(attempt, start)) {
+        if (error) throw error
+        return res
+      }
+
+      const delay = this.retryPolicy.getDelay(attempt)
+      debug(options.method + ' ' + options.uri + ' failed (' +
+        (error ? error.message : 'status=' + res.statusCode) + '); retrying in ' + delay + 'ms')
+      if (onRetry) onRetry()
+      yield wait(delay)
+    }
   }
 
   * _getAuthMechanisms () {
@@ -867,39 +2054,143 @@ class FiveBellsLedger extends EventEmitter2 {
   }
 
   _setupPing (ws) {
-    let isAlive = true
     let pingInterval
+    let pongTimer = null
+    let pingSentAt
 
-    function clear () {
+    const clear = () => {
       clearInterval(pingInterval)
+      clearTimeout(pongTimer)
+      pongTimer = null
       ws.removeListener('pong', heartbeat)
     }
 
-    function heartbeat () {
-      isAlive = true
+    const heartbeat = () => {
+      if (!pongTimer) return
+      clearTimeout(pongTimer)
+      pongTimer = null
+      this.latency = Date.now() - pingSentAt
+      this.emit('latency', this.latency)
     }
 
-    function ping () {
-      if (!isAlive) {
-        debug('no ping response in', wsPingInterval, 'ms')
-        clear()
-        return
-      }
-      isAlive = false
+    const ping = () => {
+      // still waiting for the last pong
+      if (pongTimer) return
 
       try {
         ws.ping('', false, true)
       } catch (e) {
         debug('error during ping:', e)
         clear()
+        return
       }
+      pingSentAt = Date.now()
+      pongTimer = setTimeout(() => {
+        debug('no ping response in', this.pongTimeout, 'ms, closing websocket')
+        clear()
+        // the connection is most likely half-open; closing it makes reconnect-core reopen it
+        ws.terminate()
+      }, this.pongTimeout)
     }
 
     this.once('disconnect', clear)
     ws.on('pong', heartbeat)
-    pingInterval = setInterval(ping, wsPingInterval)
-    debug('pinging ledger every', wsPingInterval, 'ms')
+    pingInterval = setInterval(ping, this.pingInterval)
+    debug('pinging ledger every', this.pingInterval, 'ms')
+  }
+}
+
+// arrays, iterables and async iterables
+function isResponseStream (value) {
+  if (!value || typeof value !== 'object') return false
+  return typeof value[Symbol.iterator] === 'function' ||
+    typeof value[asyncIteratorSymbol] === 'function'
+}
+
+// the iterator's `next()` may return a promise, as may its values
+function responseIterator (responses) {
+  if (typeof responses[asyncIteratorSymbol] === 'function') {
+    return responses[asyncIteratorSymbol]()
+  }
+  return responses[Symbol.iterator]()
+}
+
+function withoutCustomField (message, field) {
+  const custom = Object.assign({}, message.custom)
+  delete custom[field]
+  return Object.assign({}, message, { custom })
+}
+
+// the errors a transfer submission, or the case set up for it, is refused with
+function transferError (res) {
+  const body = res.body || {}
+  const message = body.message || 'Unexpected status code: ' + res.statusCode
+  if (body.id === 'InvalidBodyError') return new errors.InvalidFieldsError(message)
+  if (body.id === 'InvalidModificationError') return new errors.DuplicateIdError(message)
+  if (body.id === 'InsufficientFundsError') return new errors.InsufficientBalanceError(message)
+  if (body.id === 'UnprocessableEntityError' && /Account .* does not exist/.test(message)) {
+    return new errors.AccountNotFoundError(message)
+  }
+  return new errors.NotAcceptedError(message)
+}
+
+function caseError (res) {
+  debug('notary error: ' + res.statusCode + ' ' + JSON.stringify(res.body))
+  if (res.body && res.body.id === 'InvalidBodyError') {
+    return new errors.InvalidFieldsError(res.body.message)
   }
+  return new ExternalError('Remote error: status=' + res.statusCode)
+}
+
+/**
+ * Wrap a backoff strategy for reconnect-core so that, once the delay before a
+ * reconnect attempt is over, the attempt waits for `prepare()` to resolve.
+ *
+ * @param {Backoff} backoff
+ * @param {Function} prepare Returns a promise, or null if there is nothing to
+ *   wait for
+ * @returns {EventEmitter} Strategy with the same events and methods
+ */
+function beforeEachAttempt (backoff, prepare) {
+  const strategy = new EventEmitter()
+  strategy.backoff = (err) => backoff.backoff(err)
+  strategy.reset = () => backoff.reset()
+  backoff.on('backoff', (n, delay, err) => strategy.emit('backoff', n, delay, err))
+  backoff.on('fail', (err) => strategy.emit('fail', err))
+  backoff.on('ready', (n, delay) => {
+    const preparing = prepare()
+    if (!preparing) return strategy.emit('ready', n, delay)
+    preparing.then(() => strategy.emit('ready', n, delay))
+  })
+  return strategy
+}
+
+// five-bells-ledger answers a bad token with a 403 UnauthorizedError, an
+// OAuth2 gateway with a 401
+function isTokenRejection (res) {
+  if (res.statusCode === 401) return true
+  const body = typeof res.body === 'string' ? parseJSON(res.body) : res.body
+  return res.statusCode === 403 && !!body && body.id === 'UnauthorizedError'
+}
+
+function parseJSON (text) {
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    return null
+  }
+}
+
+function isAuthRejection (err) {
+  return /unexpected server response \((401|403)\)/.test(err && err.message)
+}
+
+function credentialFilePaths (options) {
+  return omitNil({
+    cert: options.certPath,
+    key: options.keyPath,
+    ca: options.caPath
+  })
 }
 
 function requestCredentials (credentials, token) {
@@ -917,6 +2208,32 @@ function requestCredentials (credentials, token) {
   })
 }
 
+function isValidAmount (amount) {
+  return typeof amount === 'string' &&
+    +amount > 0 &&
+    amount.indexOf('.') === -1 // integers only
+}
+
+function validateCredits (credits) {
+  if (!Array.isArray(credits) || !credits.length) {
+    throw new errors.InvalidFieldsError('invalid credits')
+  }
+  let total = new BigNumber(0)
+  for (let credit of credits) {
+    if (!credit || typeof credit.to !== 'string') {
+      throw new errors.InvalidFieldsError('invalid to field in credits')
+    }
+    if (!isValidAmount(credit.amount)) {
+      throw new errors.InvalidFieldsError('invalid amount in credits')
+    }
+    if (credit.ilp !== undefined && typeof credit.ilp !== 'string') {
+      throw new errors.InvalidFieldsError('invalid ilp field in credits')
+    }
+    total = total.plus(credit.amount)
+  }
+  return total
+}
+
 function getResponseJSON (res) {
   const contentType = res.headers['content-type']
   if (!contentType) return
@@ -967,6 +2284,25 @@ function * resolveWebfingerOptions (identifier) {
   return newOptions
 }
 
+/**
+ * Check whether the transfer stored on the ledger is the one we submitted,
+ * ignoring the fields the ledger adds (state, timeline, authorization).
+ */
+function isSameTransfer (submitted, stored) {
+  const legs = (legs) => (legs || []).map((leg) => ({
+    account: leg.account,
+    amount: new BigNumber(leg.amount).toString(),
+    memo: leg.memo
+  }))
+  const time = (date) => date && new Date(date).getTime()
+  return submitted.ledger === stored.ledger &&
+    isEqual(legs(submitted.debits), legs(stored.debits)) &&
+    isEqual(legs(submitted.credits), legs(stored.credits)) &&
+    submitted.execution_condition === stored.execution_condition &&
+    submitted.cancellation_condition === stored.cancellation_condition &&
+    time(submitted.expires_at) === time(stored.expires_at)
+}
+
 function * requestRetry (requestOptions, retryOptions) {
   let delay = retryOptions.backoffMin
   const start = Date.now()
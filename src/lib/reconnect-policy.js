@@ -0,0 +1,72 @@
+'use strict'
+
+const backoff = require('backoff')
+const getNonNegativeNumber = require('./validate').getNonNegativeNumber
+
+/**
+ * Decides how often the websocket is reopened after it was lost, and when to
+ * stop trying.
+ *
+ * By default the plugin keeps reconnecting forever, with the delay between
+ * attempts doubling from 10ms up to 500ms.
+ */
+class ReconnectPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.backoffMin=10] Delay before the first reconnect attempt, in milliseconds
+   * @param {Number} [options.backoffMax=500] Upper bound for the delay between attempts
+   * @param {Number} [options.backoffFactor=2] Factor the delay grows by after each attempt
+   * @param {Number} [options.jitter=0] Add up to this fraction of the delay at random, between 0 and 1
+   * @param {Number} [options.maxAttempts=Infinity] Give up after this many failed attempts in a row
+   * @param {Number} [options.maxOutage=Infinity] Give up if the websocket has been down for this many milliseconds
+   */
+  constructor (options) {
+    options = options || {}
+    this.backoffMin = getNonNegativeNumber(options, 'reconnect', 'backoffMin', 10)
+    this.backoffMax = getNonNegativeNumber(options, 'reconnect', 'backoffMax', 500)
+    this.backoffFactor = getNonNegativeNumber(options, 'reconnect', 'backoffFactor', 2)
+    this.jitter = getNonNegativeNumber(options, 'reconnect', 'jitter', 0)
+    this.maxAttempts = getNonNegativeNumber(options, 'reconnect', 'maxAttempts', Infinity)
+    this.maxOutage = getNonNegativeNumber(options, 'reconnect', 'maxOutage', Infinity)
+
+    if (this.backoffMin < 1 || this.backoffMax <= this.backoffMin) {
+      throw new TypeError('Expected reconnect.backoffMax to be greater than reconnect.backoffMin, which must be at least 1')
+    }
+    if (this.backoffFactor <= 1) {
+      throw new TypeError('Expected reconnect.backoffFactor to be greater than 1, received: ' + this.backoffFactor)
+    }
+    if (this.jitter > 1) {
+      throw new TypeError('Expected reconnect.jitter to be between 0 and 1, received: ' + this.jitter)
+    }
+    if (this.maxAttempts < 1) {
+      throw new TypeError('Expected reconnect.maxAttempts to be at least 1, received: ' + this.maxAttempts)
+    }
+  }
+
+  /**
+   * @returns {Backoff} Backoff strategy for reconnect-core. It emits `fail`
+   *   once `maxAttempts` is exceeded and has to be reset after a successful
+   *   reconnect.
+   */
+  createBackoff () {
+    const strategy = backoff.exponential({
+      initialDelay: this.backoffMin,
+      maxDelay: this.backoffMax,
+      factor: this.backoffFactor,
+      randomisationFactor: this.jitter
+    })
+    if (this.maxAttempts !== Infinity) strategy.failAfter(this.maxAttempts)
+    return strategy
+  }
+
+  /**
+   * @param {Number} outageStart Timestamp of when the websocket was lost
+   * @param {Number} delay Milliseconds until the next attempt
+   * @returns {Boolean} Whether the outage would last too long to keep trying
+   */
+  isOutageTooLong (outageStart, delay) {
+    return Date.now() + delay - outageStart > this.maxOutage
+  }
+}
+
+module.exports = ReconnectPolicy
@@ -0,0 +1,92 @@
+'use strict'
+
+const IlpPacket = require('ilp-packet')
+const debug = require('debug')('ilp-plugin-bells:request-router')
+
+/**
+ * Dispatches incoming request messages to handlers.
+ *
+ * Each request passes through the middleware registered with `use`, in order,
+ * and then goes to the first route that matches it. Requests no route matches
+ * go to the fallback handler (the one set with registerRequestHandler).
+ */
+class RequestRouter {
+  constructor () {
+    this.middleware = []
+    this.routes = []
+  }
+
+  isEmpty () {
+    return !this.middleware.length && !this.routes.length
+  }
+
+  /**
+   * @param {Function} middleware `(message, options, next)`, where `next()`
+   *   returns a promise of the response from the rest of the chain
+   */
+  use (middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Expected middleware to be a function, received: ' + typeof middleware)
+    }
+    this.middleware.push(middleware)
+  }
+
+  /**
+   * @param {Integer|String|Function} matcher ILP packet type, as a number or
+   *   name (e.g. 'TYPE_ILQP_LIQUIDITY_REQUEST'), or a predicate that is called
+   *   with the message
+   * @param {Function} handler `(message, options)`, returns a promise of the response
+   */
+  route (matcher, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError('Expected handler to be a function, received: ' + typeof handler)
+    }
+    this.routes.push({ matches: toPredicate(matcher), handler })
+  }
+
+  /**
+   * @param {RequestMessage} message
+   * @param {Object} options Passed on to the middleware and handlers
+   * @param {Function} [fallback] Handles requests no route matches
+   * @returns {Promise.<ResponseMessage|null>}
+   */
+  handle (message, options, fallback) {
+    const dispatch = (i) => {
+      if (i < this.middleware.length) {
+        return this.middleware[i](message, options, () => call(dispatch, i + 1))
+      }
+      const route = this.routes.find((route) => route.matches(message))
+      if (route) return route.handler(message, options)
+      if (fallback) return fallback(message, options)
+      return null
+    }
+    return call(dispatch, 0)
+  }
+}
+
+// turns exceptions into rejections
+function call (fn) {
+  const args = Array.prototype.slice.call(arguments, 1)
+  return new Promise((resolve) => resolve(fn.apply(null, args)))
+}
+
+function toPredicate (matcher) {
+  if (typeof matcher === 'function') return matcher
+  const type = typeof matcher === 'string' ? IlpPacket.Type[matcher] : matcher
+  if (typeof type !== 'number' || !IlpPacket.Type[type]) {
+    throw new TypeError('Expected an ILP packet type or a function, received: ' + matcher)
+  }
+  return (message) => getPacketType(message) === type
+}
+
+function getPacketType (message) {
+  if (typeof message.ilp !== 'string') return null
+  try {
+    return IlpPacket.deserializeIlpPacket(Buffer.from(message.ilp, 'base64')).type
+  } catch (err) {
+    debug('could not parse ilp packet of request:', err.message)
+    return null
+  }
+}
+
+module.exports = RequestRouter
@@ -0,0 +1,73 @@
+'use strict'
+
+const Readable = require('stream').Readable
+
+/**
+ * The responses to a streaming request (see Plugin#sendRequestStream), as a
+ * readable object stream of ResponseMessages.
+ *
+ * Each part the recipient sends carries `custom.streamPart = { seq }`, and
+ * the last one `{ seq, end: true }`. Since the ledger may deliver them out of
+ * order, parts are buffered until all earlier ones have arrived.
+ */
+class ResponseStream extends Readable {
+  constructor () {
+    super({ objectMode: true })
+    this.nextSeq = 0
+    // seq ⇒ message, for parts that arrived early
+    this.buffered = new Map()
+    this.finished = false
+  }
+
+  _read () {
+    // parts are pushed as they arrive
+  }
+
+  /**
+   * @param {ResponseMessage} message
+   * @returns {Boolean} Whether the stream is complete
+   */
+  addPart (message) {
+    if (this.finished) return true
+    const part = message.custom && message.custom.streamPart
+    if (!part || typeof part.seq !== 'number') {
+      // the recipient answered with a single, regular response
+      this.push(message)
+      return this._end()
+    }
+
+    this.buffered.set(part.seq, message)
+    while (this.buffered.has(this.nextSeq)) {
+      const next = this.buffered.get(this.nextSeq)
+      this.buffered.delete(this.nextSeq)
+      this.nextSeq++
+      if (next.custom.streamPart.end) return this._end()
+      this.push(withoutStreamPart(next))
+    }
+    return false
+  }
+
+  fail (err) {
+    if (this.finished) return
+    this.finished = true
+    this.buffered.clear()
+    this.emit('error', err)
+  }
+
+  _end () {
+    this.finished = true
+    this.buffered.clear()
+    this.push(null)
+    return true
+  }
+}
+
+function withoutStreamPart (message) {
+  const custom = Object.assign({}, message.custom)
+  delete custom.streamPart
+  const result = Object.assign({}, message, { custom })
+  if (!Object.keys(custom).length) delete result.custom
+  return result
+}
+
+module.exports = ResponseStream
@@ -0,0 +1,65 @@
+'use strict'
+
+const getNonNegativeNumber = require('./validate').getNonNegativeNumber
+
+const DEFAULT_RETRY_STATUS_CODES = [ 500, 502, 503, 504 ]
+
+/**
+ * Decides whether and when a failed HTTP request to the ledger is retried.
+ *
+ * The default policy makes a single attempt, so requests are only retried if
+ * `maxAttempts` is configured.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.maxAttempts=1] Total number of attempts, including the first one
+   * @param {Number} [options.backoffMin=100] Delay before the first retry, in milliseconds
+   * @param {Number} [options.backoffMax=5000] Upper bound for the delay between attempts
+   * @param {Number} [options.backoffFactor=2] Factor the delay grows by after each attempt
+   * @param {Number} [options.deadline=Infinity] Give up if retrying would take longer than this many milliseconds
+   * @param {Number[]} [options.retryStatusCodes=[500, 502, 503, 504]] Response status codes that are retried
+   */
+  constructor (options) {
+    options = options || {}
+    this.maxAttempts = getNonNegativeNumber(options, 'retry', 'maxAttempts', 1)
+    this.backoffMin = getNonNegativeNumber(options, 'retry', 'backoffMin', 100)
+    this.backoffMax = getNonNegativeNumber(options, 'retry', 'backoffMax', 5000)
+    this.backoffFactor = getNonNegativeNumber(options, 'retry', 'backoffFactor', 2)
+    this.deadline = getNonNegativeNumber(options, 'retry', 'deadline', Infinity)
+    this.retryStatusCodes = options.retryStatusCodes || DEFAULT_RETRY_STATUS_CODES
+
+    if (!Array.isArray(this.retryStatusCodes)) {
+      throw new TypeError('Expected retry.retryStatusCodes to be an array, received: ' +
+        typeof this.retryStatusCodes)
+    }
+  }
+
+  /**
+   * @param {Object} res HTTP response
+   * @returns {Boolean} Whether the response indicates a transient error
+   */
+  isRetryableResponse (res) {
+    return this.retryStatusCodes.indexOf(res.statusCode) !== -1
+  }
+
+  /**
+   * @param {Number} attempt Number of attempts made so far
+   * @returns {Number} Milliseconds to wait before the next attempt
+   */
+  getDelay (attempt) {
+    return Math.min(this.backoffMin * Math.pow(this.backoffFactor, attempt - 1), this.backoffMax)
+  }
+
+  /**
+   * @param {Number} attempt Number of attempts made so far
+   * @param {Number} start Timestamp of the first attempt
+   * @returns {Boolean} Whether another attempt may be made
+   */
+  canRetry (attempt, start) {
+    return attempt < this.maxAttempts &&
+      Date.now() + this.getDelay(attempt) - start <= this.deadline
+  }
+}
+
+module.exports = RetryPolicy
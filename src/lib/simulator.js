@@ -0,0 +1,690 @@
+'use strict'
+
+const http = require('http')
+const crypto = require('crypto')
+const parseURL = require('url').parse
+const WebSocket = require('ws')
+const BigNumber = require('bignumber.js')
+const base64url = require('base64url')
+const debug = require('debug')('ilp-plugin-bells:simulator')
+const timers = require('./timers')
+
+const defaultPrefix = 'example.sim.'
+const defaultTokenMaxAge = 7 * 24 * 60 * 60 * 1000 // one week
+const defaultPageSize = 100
+
+// Only PREIMAGE-SHA-256 conditions with 32-byte preimages are supported
+const REGEX_PREIMAGE_CONDITION = /^ni:\/\/\/sha-256;([A-Za-z0-9_-]{43})\?fpt=preimage-sha-256&cost=32$/
+const PREIMAGE_FULFILLMENT_PREAMBLE = Buffer.from([0xa0, 0x22, 0x80, 0x20])
+
+/**
+ * In-process stand-in for five-bells-ledger.
+ *
+ * Serves the ledger's HTTP API and websocket JSON-RPC API on a local port, so
+ * that the plugin and the factory can be exercised end-to-end in tests and
+ * during offline development. State is kept in memory and discarded on stop().
+ *
+ * Amounts and balances use the ledger's decimal representation, exactly like
+ * the real ledger does.
+ */
+class LedgerSimulator {
+  /**
+   * @param {Object} [opts]
+   * @param {String} [opts.prefix] ILP prefix advertised in the ledger metadata
+   * @param {String} [opts.currencyCode='USD']
+   * @param {Number} [opts.scale=2]
+   * @param {Number} [opts.port] Port to listen on, defaults to a random free port
+   * @param {Object[]} [opts.accounts] Accounts to create, see addAccount()
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.prefix = opts.prefix || defaultPrefix
+    this.currencyCode = opts.currencyCode || 'USD'
+    this.scale = opts.scale === undefined ? 2 : opts.scale
+    this.port = opts.port || 0
+
+    this.uri = null
+    this.server = null
+    this.wss = null
+    this.accounts = new Map() // name ⇒ account
+    this.transfers = new Map() // id ⇒ { resource, submission, fulfillment, fulfillmentData, timer }
+    this.tokens = new Map() // token ⇒ account name
+
+    for (let account of opts.accounts || []) {
+      this.addAccount(account)
+    }
+  }
+
+  /**
+   * @returns {Promise<String>} Base URI of the simulated ledger
+   */
+  start () {
+    if (this.server) return Promise.resolve(this.uri)
+    this.server = http.createServer((req, res) => this._handleRequest(req, res))
+    this.wss = new WebSocket.Server({
+      server: this.server,
+      path: '/websocket',
+      // the upgrade is refused with a 401 for an unknown token
+      verifyClient: (info) => !!this._getWebsocketUser(info.req)
+    })
+    this.wss.on('connection', (ws, req) => this._handleConnection(ws, req || ws.upgradeReq))
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.port = this.server.address().port
+        this.uri = 'http://127.0.0.1:' + this.port
+        debug('simulated ledger listening on ' + this.uri)
+        resolve(this.uri)
+      })
+    })
+  }
+
+  /**
+   * @returns {Promise<null>}
+   */
+  stop () {
+    if (!this.server) return Promise.resolve(null)
+    for (let record of this.transfers.values()) {
+      timers.clearTimer(record.timer)
+    }
+    for (let ws of this.wss.clients) {
+      ws.terminate()
+    }
+    this.wss.close()
+    const server = this.server
+    this.server = null
+    this.wss = null
+    return new Promise((resolve) => server.close(() => resolve(null)))
+  }
+
+  /**
+   * @param {Object} account
+   * @param {String} account.name
+   * @param {String} [account.password]
+   * @param {String} [account.balance='0']
+   * @param {String} [account.minimumAllowedBalance='0']
+   * @param {Boolean} [account.isAdmin=false]
+   * @param {Boolean} [account.connector=false] List the account as a connector
+   */
+  addAccount (account) {
+    if (typeof account.name !== 'string' || !/^[a-zA-Z0-9_-]{1,86}$/.test(account.name)) {
+      throw new TypeError('Invalid account name: ' + account.name)
+    }
+    this.accounts.set(account.name, {
+      name: account.name,
+      password: account.password,
+      balance: new BigNumber(account.balance || 0),
+      minimumAllowedBalance: new BigNumber(account.minimumAllowedBalance || 0),
+      isAdmin: !!account.isAdmin,
+      connector: !!account.connector
+    })
+  }
+
+  accountUri (name) {
+    return this.uri + '/accounts/' + encodeURIComponent(name)
+  }
+
+  getBalance (name) {
+    const account = this.accounts.get(name)
+    return account ? account.balance.toString() : null
+  }
+
+  /**
+   * Refuse a token the ledger issued from now on, as if it had expired.
+   *
+   * @param {String} token
+   */
+  expireToken (token) {
+    this.tokens.delete(token)
+  }
+
+  getTransfer (id) {
+    const record = this.transfers.get(id)
+    return record ? clone(record.resource) : null
+  }
+
+  getMetadata () {
+    const connectors = Array.from(this.accounts.values())
+      .filter((account) => account.connector)
+      .map((account) => ({ id: this.accountUri(account.name), name: account.name }))
+    return {
+      ilp_prefix: this.prefix,
+      currency_code: this.currencyCode,
+      scale: this.scale,
+      connectors: connectors,
+      urls: {
+        transfer: this.uri + '/transfers/:id',
+        transfer_fulfillment: this.uri + '/transfers/:id/fulfillment',
+        transfer_fulfillment2: this.uri + '/transfers/:id/fulfillment2',
+        transfer_rejection: this.uri + '/transfers/:id/rejection',
+        account: this.uri + '/accounts/:name',
+        account_transfers: this.uri + '/accounts/:name/transfers',
+        auth_token: this.uri + '/auth_token',
+        websocket: this.uri.replace(/^http/, 'ws') + '/websocket',
+        message: this.uri + '/messages'
+      }
+    }
+  }
+
+  _handleRequest (req, res) {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      let result
+      try {
+        const url = parseURL(req.url, true)
+        const user = this._authenticate(req.headers.authorization)
+        const body = parseBody(req.headers['content-type'], Buffer.concat(chunks).toString())
+        debug(req.method + ' ' + url.pathname)
+        result = this._route(req.method, url.pathname, url.query, body, user)
+      } catch (err) {
+        if (!err.status) debug('simulator error:', err.stack)
+        result = {
+          status: err.status || 500,
+          body: { id: err.id || 'InternalServerError', message: err.message }
+        }
+      }
+      const text = typeof result.body === 'string'
+      res.writeHead(result.status, {
+        'Content-Type': text ? 'text/plain' : 'application/json'
+      })
+      res.end(text ? result.body : JSON.stringify(result.body))
+    })
+  }
+
+  _route (method, path, query, body, user) {
+    let match
+    if (path === '/' && method === 'GET') {
+      return ok(this.getMetadata())
+    }
+    if (path === '/auth_token' && method === 'GET') {
+      return ok(this._getAuthToken(user))
+    }
+    if (path === '/messages' && method === 'POST') {
+      return this._postMessage(body, user)
+    }
+    if ((match = path.match(/^\/accounts\/([^/]+)$/)) && method === 'GET') {
+      return ok(this._getAccount(decodeURIComponent(match[1]), user))
+    }
+    if ((match = path.match(/^\/accounts\/([^/]+)\/transfers$/)) && method === 'GET') {
+      return ok(this._listTransfers(decodeURIComponent(match[1]), query, user))
+    }
+    if ((match = path.match(/^\/transfers\/([^/]+)$/))) {
+      if (method === 'GET') return ok(this._getTransfer(match[1], user))
+      if (method === 'PUT') return this._putTransfer(match[1], body, user)
+    }
+    if ((match = path.match(/^\/transfers\/([^/]+)\/(fulfillment2?)$/))) {
+      if (method === 'GET') return ok(this._getFulfillment(match[1], user))
+      if (method === 'PUT') return this._putFulfillment(match[1], body, user, match[2] === 'fulfillment2')
+    }
+    if ((match = path.match(/^\/transfers\/([^/]+)\/rejection$/)) && method === 'PUT') {
+      return this._putRejection(match[1], body, user)
+    }
+    throw httpError(404, 'NotFoundError', 'Unknown endpoint: ' + method + ' ' + path)
+  }
+
+  _authenticate (header) {
+    if (!header) return null
+    const parts = header.split(' ')
+    if (parts[0] === 'Bearer') {
+      const name = this.tokens.get(parts[1])
+      // the ledger answers a bad token with a 403, which is how the plugin
+      // tells that it supports token auth
+      if (!name) throw httpError(403, 'UnauthorizedError', 'Invalid token')
+      return this.accounts.get(name)
+    }
+    if (parts[0] === 'Basic') {
+      const credentials = Buffer.from(parts[1] || '', 'base64').toString().split(':')
+      const account = this.accounts.get(credentials[0])
+      if (!account || account.password !== credentials.slice(1).join(':')) {
+        throw httpError(401, 'UnauthorizedError', 'Unknown or invalid account / password')
+      }
+      return account
+    }
+    throw httpError(401, 'UnauthorizedError', 'Unsupported authorization scheme')
+  }
+
+  _requireUser (user) {
+    if (!user) throw httpError(401, 'UnauthorizedError', 'Authentication required')
+    return user
+  }
+
+  _canActAs (user, accountUri) {
+    return user.isAdmin || this.accountUri(user.name) === accountUri
+  }
+
+  _getAuthToken (user) {
+    this._requireUser(user)
+    const token = crypto.randomBytes(16).toString('hex')
+    this.tokens.set(token, user.name)
+    return { token: token, token_max_age: defaultTokenMaxAge }
+  }
+
+  _getAccount (name, user) {
+    const account = this.accounts.get(name)
+    if (!account) throw httpError(404, 'NotFoundError', 'Unknown account')
+    const resource = {
+      id: this.accountUri(name),
+      name: name,
+      ledger: this.uri
+    }
+    if (user && this._canActAs(user, resource.id)) {
+      Object.assign(resource, {
+        balance: account.balance.toString(),
+        minimum_allowed_balance: account.minimumAllowedBalance.toString(),
+        is_admin: account.isAdmin
+      })
+    }
+    return resource
+  }
+
+  _getTransfer (id, user) {
+    this._requireUser(user)
+    const record = this.transfers.get(id)
+    if (!record) throw httpError(404, 'NotFoundError', 'Unknown transfer ID')
+    const resource = record.resource
+    if (!user.isAdmin && !this._isParticipant(user, resource)) {
+      throw httpError(403, 'UnauthorizedError', 'Not authorized to view this transfer')
+    }
+    return clone(resource)
+  }
+
+  _listTransfers (name, query, user) {
+    this._requireUser(user)
+    const accountUri = this.accountUri(name)
+    if (!this.accounts.has(name)) throw httpError(404, 'NotFoundError', 'Unknown account')
+    if (!this._canActAs(user, accountUri)) {
+      throw httpError(403, 'UnauthorizedError', 'Not authorized to list transfers of ' + name)
+    }
+
+    const offset = query.cursor ? parseInt(query.cursor, 10) : 0
+    const limit = query.limit ? parseInt(query.limit, 10) : defaultPageSize
+    if (isNaN(offset) || isNaN(limit) || limit <= 0) {
+      throw httpError(400, 'InvalidUriParameterError', 'Invalid cursor or limit')
+    }
+    const matching = Array.from(this.transfers.values())
+      .map((record) => record.resource)
+      .filter((resource) => legAccounts(resource).indexOf(accountUri) !== -1)
+      .filter((resource) => !query.state || resource.state === query.state)
+      .filter((resource) => !query.since || resource.timeline.proposed_at >= query.since)
+      .filter((resource) => !query.until || resource.timeline.proposed_at <= query.until)
+    const page = matching.slice(offset, offset + limit)
+    const next = offset + page.length
+    return {
+      transfers: clone(page),
+      cursor: next < matching.length ? String(next) : undefined
+    }
+  }
+
+  _putTransfer (id, body, user) {
+    this._requireUser(user)
+    if (!body || typeof body !== 'object' || body.id !== this.uri + '/transfers/' + id) {
+      throw httpError(400, 'InvalidUriParameterError', 'Transfer ID in body does not match URL')
+    }
+    if (!Array.isArray(body.debits) || !body.debits.length ||
+        !Array.isArray(body.credits) || !body.credits.length) {
+      throw httpError(400, 'InvalidBodyError', 'Transfers must have debits and credits')
+    }
+
+    const submission = JSON.stringify(pickSubmission(body))
+    const existing = this.transfers.get(id)
+    if (existing) {
+      if (existing.submission === submission) return { status: 200, body: clone(existing.resource) }
+      throw httpError(400, 'InvalidModificationError', 'Transfer may not be modified in this way')
+    }
+
+    let totalDebits = new BigNumber(0)
+    let totalCredits = new BigNumber(0)
+    for (let leg of body.debits.concat(body.credits)) {
+      if (!this.accounts.has(this._accountName(leg.account))) {
+        throw httpError(422, 'UnprocessableEntityError', 'Account ' + leg.account + ' does not exist')
+      }
+      if (!(new BigNumber(leg.amount).greaterThan(0))) {
+        throw httpError(400, 'InvalidBodyError', 'Amounts must be positive')
+      }
+    }
+    body.debits.forEach((leg) => { totalDebits = totalDebits.plus(leg.amount) })
+    body.credits.forEach((leg) => { totalCredits = totalCredits.plus(leg.amount) })
+    if (!totalDebits.equals(totalCredits)) {
+      throw httpError(422, 'UnprocessableEntityError', 'Total credits must equal total debits')
+    }
+    for (let debit of body.debits) {
+      if (!this._canActAs(user, debit.account)) {
+        throw httpError(403, 'UnauthorizedError', 'Invalid attempt to authorize debit')
+      }
+      const account = this.accounts.get(this._accountName(debit.account))
+      if (account.balance.minus(debit.amount).lessThan(account.minimumAllowedBalance)) {
+        throw httpError(422, 'InsufficientFundsError', 'Sender has insufficient funds.')
+      }
+    }
+    if (body.execution_condition && !REGEX_PREIMAGE_CONDITION.test(body.execution_condition)) {
+      throw httpError(400, 'InvalidBodyError', 'Unsupported execution condition')
+    }
+    if (body.cancellation_condition && !REGEX_PREIMAGE_CONDITION.test(body.cancellation_condition)) {
+      throw httpError(400, 'InvalidBodyError', 'Unsupported cancellation condition')
+    }
+    if (body.expires_at && new Date(body.expires_at).getTime() <= Date.now()) {
+      throw httpError(422, 'UnprocessableEntityError', 'Transfer has already expired')
+    }
+
+    // Hold the funds until the transfer is executed or rejected
+    for (let debit of body.debits) {
+      const account = this.accounts.get(this._accountName(debit.account))
+      account.balance = account.balance.minus(debit.amount)
+    }
+
+    const now = new Date().toISOString()
+    const resource = Object.assign(clone(body), {
+      ledger: this.uri,
+      state: 'prepared',
+      timeline: {
+        proposed_at: now,
+        prepared_at: now
+      }
+    })
+    const record = { resource, submission }
+    this.transfers.set(id, record)
+
+    if (!resource.execution_condition) {
+      this._execute(record)
+    } else if (resource.expires_at) {
+      this._scheduleExpiry(record)
+    }
+
+    this._notifyTransfer('transfer.create', record)
+    return { status: 201, body: clone(resource) }
+  }
+
+  _getFulfillment (id, user) {
+    const record = this._getConditionalTransfer(id, user)
+    if (record.resource.state === 'rejected') {
+      throw httpError(422, 'AlreadyRolledBackError', 'This transfer has already been rejected')
+    }
+    if (!record.fulfillment) {
+      throw httpError(404, 'MissingFulfillmentError', 'This transfer has not yet been fulfilled')
+    }
+    return record.fulfillment
+  }
+
+  _putFulfillment (id, body, user, withData) {
+    const record = this._getConditionalTransfer(id, user)
+    const fulfillment = withData ? body && body.condition_fulfillment : body
+    const fulfillmentData = withData ? body && body.fulfillment_data : undefined
+    if (typeof fulfillment !== 'string') {
+      throw httpError(400, 'InvalidBodyError', 'Fulfillment must be a string')
+    }
+    const resource = record.resource
+    // a fulfillment of the cancellation condition rejects the transfer instead
+    const cancels = !!resource.cancellation_condition &&
+      fulfillsCondition(fulfillment, resource.cancellation_condition)
+    const known = cancels ? record.cancellationFulfillment : record.fulfillment
+    if (resource.state === (cancels ? 'rejected' : 'executed') && known === fulfillment) {
+      return { status: 200, body: withData ? { condition_fulfillment: fulfillment } : fulfillment }
+    }
+    if (resource.state !== 'prepared') {
+      throw httpError(422, 'InvalidModificationError', 'Transfers in state ' + resource.state +
+        ' may not be ' + (cancels ? 'rejected' : 'executed'))
+    }
+    if (!cancels && !fulfillsCondition(fulfillment, resource.execution_condition)) {
+      throw httpError(422, 'UnmetConditionError', 'Fulfillment does not match condition')
+    }
+
+    timers.clearTimer(record.timer)
+    record.fulfillmentData = fulfillmentData
+    if (cancels) {
+      record.cancellationFulfillment = fulfillment
+      this._reject(record, 'cancelled')
+    } else {
+      record.fulfillment = fulfillment
+      this._execute(record)
+    }
+    this._notifyTransfer('transfer.update', record)
+    return {
+      status: 201,
+      body: withData ? { condition_fulfillment: fulfillment, fulfillment_data: fulfillmentData } : fulfillment
+    }
+  }
+
+  _putRejection (id, body, user) {
+    this._requireUser(user)
+    const record = this._getConditionalTransfer(id, user)
+    const resource = record.resource
+    const ownCredits = resource.credits.filter((credit) => this._canActAs(user, credit.account))
+    if (!ownCredits.length) {
+      throw httpError(403, 'UnauthorizedError', 'Only the receiver of a transfer may reject it')
+    }
+    if (resource.state === 'rejected') return { status: 200, body: body }
+    if (resource.state !== 'prepared') {
+      throw httpError(422, 'InvalidModificationError', 'Transfers in state ' + resource.state + ' may not be rejected')
+    }
+
+    timers.clearTimer(record.timer)
+    for (let credit of ownCredits) {
+      credit.rejected = true
+      credit.rejection_message = body
+    }
+    this._reject(record, 'cancelled')
+    this._notifyTransfer('transfer.update', record)
+    return { status: 201, body: body }
+  }
+
+  _postMessage (body, user) {
+    this._requireUser(user)
+    if (!body || typeof body !== 'object' || !body.from || !body.to || body.ledger !== this.uri) {
+      throw httpError(400, 'InvalidBodyError', 'Invalid message')
+    }
+    if (!this._canActAs(user, body.from)) {
+      throw httpError(403, 'UnauthorizedError', 'You do not have permission to impersonate this user')
+    }
+    if (!this.accounts.has(this._accountName(body.to))) {
+      throw httpError(422, 'UnprocessableEntityError', 'Account ' + body.to + ' does not exist')
+    }
+    const delivered = this._notify({
+      event: 'message.send',
+      resource: { ledger: body.ledger, from: body.from, to: body.to, data: body.data }
+    }, [ body.to ])
+    if (!delivered) {
+      throw httpError(422, 'NoSubscriptionsError', 'Destination account could not be reached')
+    }
+    return { status: 201, body: body }
+  }
+
+  _getConditionalTransfer (id, user) {
+    this._requireUser(user)
+    const record = this.transfers.get(id)
+    if (!record) throw httpError(404, 'NotFoundError', 'Unknown transfer ID')
+    if (!record.resource.execution_condition) {
+      throw httpError(422, 'TransferNotConditionalError', 'Transfer does not have any conditions')
+    }
+    return record
+  }
+
+  _execute (record) {
+    const resource = record.resource
+    for (let credit of resource.credits) {
+      const account = this.accounts.get(this._accountName(credit.account))
+      account.balance = account.balance.plus(credit.amount)
+    }
+    resource.state = 'executed'
+    resource.timeline.executed_at = new Date().toISOString()
+    debug('executed transfer ' + resource.id)
+  }
+
+  _reject (record, reason) {
+    const resource = record.resource
+    for (let debit of resource.debits) {
+      const account = this.accounts.get(this._accountName(debit.account))
+      account.balance = account.balance.plus(debit.amount)
+    }
+    resource.state = 'rejected'
+    resource.rejection_reason = reason
+    resource.timeline.rejected_at = new Date().toISOString()
+    debug('rejected transfer ' + resource.id)
+  }
+
+  _scheduleExpiry (record) {
+    record.timer = timers.setTimerAt(() => this._expire(record),
+      new Date(record.resource.expires_at).getTime())
+  }
+
+  _expire (record) {
+    if (record.resource.state !== 'prepared') return
+    debug('transfer ' + record.resource.id + ' expired')
+    this._reject(record, 'expired')
+    this._notifyTransfer('transfer.update', record)
+  }
+
+  _notifyTransfer (event, record) {
+    const notification = { event, resource: clone(record.resource) }
+    if (record.fulfillment || record.cancellationFulfillment) {
+      // the JSON round trip drops the fields that aren't set
+      notification.related_resources = clone({
+        execution_condition_fulfillment: record.fulfillment,
+        cancellation_condition_fulfillment: record.cancellationFulfillment,
+        fulfillment_data: record.fulfillmentData
+      })
+    }
+    this._notify(notification, legAccounts(record.resource))
+  }
+
+  /**
+   * @returns {Number} Number of websocket connections the notification was sent to
+   */
+  _notify (params, accounts) {
+    const message = JSON.stringify({ jsonrpc: '2.0', id: null, method: 'notify', params })
+    let delivered = 0
+    for (let ws of this.wss.clients) {
+      const subscription = ws.subscription
+      if (!subscription) continue
+      if (!subscription.all && !accounts.some((account) => subscription.accounts.has(account))) continue
+      delivered++
+      ws.send(message)
+    }
+    return delivered
+  }
+
+  _getWebsocketUser (req) {
+    const token = parseURL(req.url, true).query.token
+    const user = this.accounts.get(this.tokens.get(token))
+    if (!user) debug('refusing websocket connection with invalid token')
+    return user
+  }
+
+  _handleConnection (ws, req) {
+    const user = this._getWebsocketUser(req)
+
+    ws.on('error', (err) => debug('websocket error:', err))
+    ws.on('message', (rpcMessageString) => {
+      let rpcMessage
+      try {
+        rpcMessage = JSON.parse(rpcMessageString)
+      } catch (err) {
+        return sendRpc(ws, { id: null, error: { code: -32700, message: 'Parse error' } })
+      }
+      // Replies to notifications (see debugReplyNotifications) need no answer
+      if (!rpcMessage.method) return
+      try {
+        sendRpc(ws, { id: rpcMessage.id, result: this._handleRpc(ws, user, rpcMessage) })
+      } catch (err) {
+        sendRpc(ws, { id: rpcMessage.id, error: { code: err.code || -32603, message: err.message } })
+      }
+    })
+    sendRpc(ws, { id: null, method: 'connect' })
+  }
+
+  _handleRpc (ws, user, rpcMessage) {
+    const params = rpcMessage.params || {}
+    if (rpcMessage.method === 'subscribe_account') {
+      const accounts = params.accounts || []
+      for (let account of accounts) {
+        if (!this._canActAs(user, account)) {
+          throw rpcError(40300, 'Not authorized to subscribe to ' + account)
+        }
+      }
+      ws.subscription = { accounts: new Set(accounts) }
+      return accounts.length
+    }
+    if (rpcMessage.method === 'subscribe_all_accounts') {
+      if (!user.isAdmin) throw rpcError(40300, 'Not authorized to subscribe to all accounts')
+      ws.subscription = { all: true }
+      return 1
+    }
+    throw rpcError(-32601, 'Unknown method: ' + rpcMessage.method)
+  }
+
+  _isParticipant (user, resource) {
+    return legAccounts(resource).indexOf(this.accountUri(user.name)) !== -1
+  }
+
+  _accountName (accountUri) {
+    const prefix = this.uri + '/accounts/'
+    if (typeof accountUri !== 'string' || accountUri.indexOf(prefix) !== 0) return null
+    return decodeURIComponent(accountUri.slice(prefix.length))
+  }
+}
+
+function fulfillsCondition (fulfillment, condition) {
+  const asBuffer = Buffer.from(fulfillment, 'base64')
+  if (asBuffer.length !== PREIMAGE_FULFILLMENT_PREAMBLE.length + 32 ||
+      PREIMAGE_FULFILLMENT_PREAMBLE.compare(asBuffer, 0, PREIMAGE_FULFILLMENT_PREAMBLE.length) !== 0) {
+    return false
+  }
+  const hash = crypto.createHash('sha256')
+    .update(asBuffer.slice(PREIMAGE_FULFILLMENT_PREAMBLE.length))
+    .digest()
+  return base64url(hash) === condition.match(REGEX_PREIMAGE_CONDITION)[1]
+}
+
+function pickSubmission (transfer) {
+  return {
+    debits: transfer.debits,
+    credits: transfer.credits,
+    execution_condition: transfer.execution_condition,
+    cancellation_condition: transfer.cancellation_condition,
+    expires_at: transfer.expires_at
+  }
+}
+
+function legAccounts (resource) {
+  return resource.debits.concat(resource.credits).map((leg) => leg.account)
+}
+
+function parseBody (contentType, text) {
+  if (!text) return undefined
+  if (contentType && contentType.indexOf('application/json') === 0) {
+    try {
+      return JSON.parse(text)
+    } catch (err) {
+      throw httpError(400, 'InvalidBodyError', 'Body is not valid JSON')
+    }
+  }
+  return text
+}
+
+function sendRpc (ws, message) {
+  ws.send(JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message)))
+}
+
+function ok (body) {
+  return { status: 200, body: body }
+}
+
+function httpError (status, id, message) {
+  const err = new Error(message)
+  err.status = status
+  err.id = id
+  return err
+}
+
+function rpcError (code, message) {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
+
+function clone (obj) {
+  return JSON.parse(JSON.stringify(obj))
+}
+
+module.exports = LedgerSimulator
@@ -0,0 +1,38 @@
+'use strict'
+
+const maxTimerDelay = 0x7fffffff // setTimeout fires immediately for longer delays
+
+/**
+ * Call `callback` at `time`, which may be further out than a single timer can
+ * wait: the timer is re-armed until `time` is reached. The timer doesn't keep
+ * the process alive.
+ *
+ * @param {Function} callback
+ * @param {Number} time Milliseconds since the epoch
+ * @returns {Object} Handle to pass to `clearTimer`
+ */
+function setTimerAt (callback, time) {
+  const handle = {}
+  const arm = () => {
+    const delay = time - Date.now()
+    handle.timeout = setTimeout(() => {
+      if (delay > maxTimerDelay) return arm()
+      callback()
+    }, Math.min(Math.max(delay, 0), maxTimerDelay))
+    if (handle.timeout.unref) handle.timeout.unref()
+  }
+  arm()
+  return handle
+}
+
+/**
+ * @param {Object} [handle] Handle returned by `setTimerAt`
+ */
+function clearTimer (handle) {
+  if (handle) clearTimeout(handle.timeout)
+}
+
+Object.assign(module.exports, {
+  setTimerAt,
+  clearTimer
+})
@@ -0,0 +1,68 @@
+'use strict'
+
+const co = require('co')
+
+/**
+ * Async iterator over a paginated transfer listing.
+ *
+ * Pages are only fetched when the transfers from the previous page have been
+ * consumed, and pages without any (matching) transfers are skipped.
+ *
+ * `cursor` holds the value that can be passed back to `getTransfers` in order
+ * to resume the listing later. Ledger cursors point at pages, so while a page
+ * is only partly consumed, `cursor` points at the start of that page: resuming
+ * from it repeats the transfers already consumed from the page rather than
+ * skipping the ones that weren't. Once the listing is exhausted, `cursor`
+ * points at the last page, so that resuming picks up the transfers added to
+ * it since.
+ */
+class TransferIterator {
+  /**
+   * @param {Function} fetchPage Called with a cursor (or undefined for the
+   *   first page), must return a Promise for `{ transfers, cursor }`
+   * @param {Object} [options]
+   * @param {String} [options.cursor] Cursor to start from
+   * @param {Number} [options.limit] Maximum number of transfers to yield
+   */
+  constructor (fetchPage, options) {
+    this.fetchPage = fetchPage
+    // cursor of the page in the buffer, and of the one after it
+    this.pageCursor = options && options.cursor
+    this.nextCursor = this.pageCursor
+    this.remaining = (options && options.limit) || Infinity
+    this.buffer = []
+    this.exhausted = false
+  }
+
+  get cursor () {
+    return (this.buffer.length || this.exhausted) ? this.pageCursor : this.nextCursor
+  }
+
+  /**
+   * @returns {Promise<Object>} `{ value, done }`, like any other iterator result
+   */
+  next () {
+    return co.wrap(this._next).call(this)
+  }
+
+  * _next () {
+    if (this.remaining <= 0) return { value: undefined, done: true }
+    while (!this.buffer.length) {
+      if (this.exhausted) return { value: undefined, done: true }
+      const page = yield this.fetchPage(this.nextCursor)
+      this.pageCursor = this.nextCursor
+      this.nextCursor = page.cursor
+      this.buffer = page.transfers
+      if (!page.cursor) this.exhausted = true
+    }
+    this.remaining--
+    return { value: this.buffer.shift(), done: false }
+  }
+}
+
+// Allow `for await` on runtimes that support async iteration
+if (typeof Symbol.asyncIterator === 'symbol') {
+  TransferIterator.prototype[Symbol.asyncIterator] = function () { return this }
+}
+
+module.exports = TransferIterator
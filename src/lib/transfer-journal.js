@@ -0,0 +1,241 @@
+'use strict'
+
+const fs = require('fs')
+const debug = require('debug')('ilp-plugin-bells:transfer-journal')
+
+// Journal states, in the order a transfer moves through them. `proposed` is
+// written before the transfer is submitted and `submitted` once the ledger has
+// accepted it. Once a notification (or a recovery lookup) tells us how the
+// transfer ended, it reaches one of the final states, where it stays until it
+// is pruned.
+const STATE_PROPOSED = 'proposed'
+const STATE_SUBMITTED = 'submitted'
+const FINAL_STATES = [ 'executed', 'rejected' ]
+
+/**
+ * Transfer store that keeps its records in a single JSON file.
+ *
+ * Every change rewrites the whole file (via a temporary file and a rename) so
+ * that a crash mid-write never leaves a truncated journal behind. Writes are
+ * serialized, so concurrent updates are applied in the order they were made.
+ * A file that can't be parsed is moved aside and the journal starts over.
+ */
+class FileTransferStore {
+  /**
+   * @param {String} path Location of the journal file
+   */
+  constructor (path) {
+    if (typeof path !== 'string') {
+      throw new TypeError('Expected journal path to be a string, received: ' + typeof path)
+    }
+    this.path = path
+    this.records = null
+    this.loading = null
+    this.writing = Promise.resolve()
+  }
+
+  get (id) {
+    return this._load().then((records) => records[id] || null)
+  }
+
+  put (id, record) {
+    return this._load().then((records) => {
+      records[id] = record
+      return this._save()
+    })
+  }
+
+  del (id) {
+    return this._load().then((records) => {
+      delete records[id]
+      return this._save()
+    })
+  }
+
+  list () {
+    return this._load().then((records) =>
+      Object.keys(records).map((id) => records[id]))
+  }
+
+  _load () {
+    // concurrent calls share one read, so a corrupt file is only moved once
+    if (!this.loading) {
+      this.loading = this._read().then((records) => {
+        this.records = records
+        return records
+      }, (err) => {
+        this.loading = null
+        throw err
+      })
+    }
+    return this.loading
+  }
+
+  _read () {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.path, 'utf8', (err, contents) => {
+        if (err && err.code !== 'ENOENT') return reject(err)
+        let records
+        try {
+          records = contents ? JSON.parse(contents) : {}
+        } catch (parseErr) {
+          return resolve(this._moveAside(parseErr))
+        }
+        resolve(records)
+      })
+    })
+  }
+
+  // the transfers in the corrupt file can't be recovered, but it is kept for
+  // inspection instead of blocking every later write
+  _moveAside (parseErr) {
+    const corruptPath = this.path + '.corrupt-' + Date.now()
+    return new Promise((resolve, reject) => {
+      fs.rename(this.path, corruptPath, (err) => {
+        if (err) {
+          return reject(new Error('Transfer journal ' + this.path +
+            ' is corrupt: ' + parseErr.message))
+        }
+        console.warn('ilp-plugin-bells: transfer journal ' + this.path + ' is corrupt (' +
+          parseErr.message + '), moved it to ' + corruptPath + ' and started a new one')
+        resolve({})
+      })
+    })
+  }
+
+  _save () {
+    const contents = JSON.stringify(this.records)
+    const tmpPath = this.path + '.tmp'
+    this.writing = this.writing.catch(() => {}).then(() => new Promise((resolve, reject) => {
+      fs.writeFile(tmpPath, contents, (err) => {
+        if (err) return reject(err)
+        fs.rename(tmpPath, this.path, (err) => err ? reject(err) : resolve())
+      })
+    }))
+    return this.writing
+  }
+}
+
+/**
+ * Record of outgoing transfers, kept so that transfers that were in flight
+ * when the process stopped can be reconciled with the ledger later.
+ *
+ * The underlying store must implement `get(id)`, `put(id, record)`,
+ * `del(id)` and `list()`, each returning a Promise.
+ */
+class TransferJournal {
+  constructor (store) {
+    for (let method of ['get', 'put', 'del', 'list']) {
+      if (typeof store[method] !== 'function') {
+        throw new TypeError('Transfer store must implement ' + method + '()')
+      }
+    }
+    this.store = store
+  }
+
+  /**
+   * @param {Transfer} transfer Plugin API transfer about to be submitted
+   * @returns {Promise<Boolean>} Whether a record was created, which it isn't
+   *   if the journal already has one for this id
+   */
+  propose (transfer) {
+    return Promise.resolve(this.store.get(transfer.id)).then((record) => {
+      if (record) {
+        debug('transfer', transfer.id, 'is already in the journal')
+        return false
+      }
+      debug('recording proposed transfer', transfer.id)
+      return Promise.resolve(this.store.put(transfer.id, {
+        id: transfer.id,
+        state: STATE_PROPOSED,
+        transfer: transfer,
+        updatedAt: new Date().toISOString()
+      })).then(() => true)
+    })
+  }
+
+  /**
+   * @param {String} transferId
+   * @returns {Promise<Object|null>} The transfer's record, if it is in the journal
+   */
+  get (transferId) {
+    return Promise.resolve(this.store.get(transferId)).then((record) => record || null)
+  }
+
+  /**
+   * Transfers that reach a final state keep their record, until `prune`
+   * removes it.
+   *
+   * @param {String} transferId
+   * @param {String} state One of submitted, executed or rejected
+   * @returns {Promise<null>}
+   */
+  update (transferId, state) {
+    return Promise.resolve(this.store.get(transferId)).then((record) => {
+      if (!record) return
+      debug('transfer', transferId, 'is now', state)
+      return this.store.put(transferId, Object.assign({}, record, {
+        state: state,
+        updatedAt: new Date().toISOString()
+      }))
+    })
+  }
+
+  remove (transferId) {
+    debug('removing transfer from journal', transferId)
+    return this.store.del(transferId)
+  }
+
+  /**
+   * Remove the records of transfers that reached their final state more than
+   * `maxAge` milliseconds ago.
+   *
+   * @param {Number} maxAge
+   * @returns {Promise<null>}
+   */
+  prune (maxAge) {
+    const cutoff = Date.now() - maxAge
+    return Promise.resolve(this.store.list()).then((records) => Promise.all(records
+      .filter((record) => isFinalState(record.state) && new Date(record.updatedAt).getTime() < cutoff)
+      .map((record) => {
+        debug('pruning transfer from journal', record.id)
+        return this.store.del(record.id)
+      }))).then(() => null)
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Records whose final state is not yet known
+   */
+  listPending () {
+    return Promise.resolve(this.store.list()).then((records) =>
+      records.filter((record) => !isFinalState(record.state)))
+  }
+}
+
+function isFinalState (state) {
+  return FINAL_STATES.indexOf(state) !== -1
+}
+
+/**
+ * @param {String|Object} [option] Path of a journal file, or a custom store
+ * @returns {TransferJournal|null}
+ */
+function createTransferJournal (option) {
+  if (!option) return null
+  if (typeof option === 'string') {
+    return new TransferJournal(new FileTransferStore(option))
+  }
+  if (typeof option === 'object') {
+    return new TransferJournal(option)
+  }
+  throw new TypeError('Expected options.transferJournal to be a path or a store, received: ' + typeof option)
+}
+
+Object.assign(module.exports, {
+  FileTransferStore,
+  TransferJournal,
+  createTransferJournal,
+  isFinalState,
+  STATE_PROPOSED,
+  STATE_SUBMITTED
+})
@@ -0,0 +1,59 @@
+'use strict'
+
+const debug = require('debug')('ilp-plugin-bells:transfer-tracker')
+
+const IN_FLIGHT_STATES = [ 'proposed', 'prepared' ]
+
+/**
+ * Keeps track of the transfers an account has been notified about, so that
+ * notifications missed while the websocket was down can be made up for by
+ * querying the ledger.
+ */
+class TransferTracker {
+  constructor () {
+    // transferId ⇒ { id, account, state, expiresAt, executionCondition,
+    //   cancellationCondition, seenAt }
+    this.inFlight = new Map()
+  }
+
+  /**
+   * @param {String} account Account URI the notification was delivered for
+   * @param {Object} fiveBellsTransfer Transfer resource from the notification
+   * @returns {String} Transfer id
+   */
+  observe (account, fiveBellsTransfer) {
+    const id = fiveBellsTransfer.id.substring(fiveBellsTransfer.id.length - 36)
+    if (IN_FLIGHT_STATES.indexOf(fiveBellsTransfer.state) !== -1) {
+      this.inFlight.set(id, {
+        id: id,
+        account: account,
+        state: fiveBellsTransfer.state,
+        expiresAt: fiveBellsTransfer.expires_at,
+        // crypto-condition URIs, to check fulfillments against before submitting them
+        executionCondition: fiveBellsTransfer.execution_condition,
+        cancellationCondition: fiveBellsTransfer.cancellation_condition,
+        seenAt: new Date().toISOString()
+      })
+    } else if (this.inFlight.delete(id)) {
+      debug('transfer ' + id + ' is no longer in flight (' + fiveBellsTransfer.state + ')')
+    }
+    return id
+  }
+
+  /**
+   * @returns {Object[]} Transfers last seen in the proposed or prepared state
+   */
+  getInFlight () {
+    return Array.from(this.inFlight.values())
+  }
+
+  get (transferId) {
+    return this.inFlight.get(transferId) || null
+  }
+
+  forget (transferId) {
+    this.inFlight.delete(transferId)
+  }
+}
+
+module.exports = TransferTracker
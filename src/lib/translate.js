@@ -2,14 +2,19 @@
 
 const UnrelatedNotificationError = require('../errors/unrelated-notification-error')
 const InvalidFieldsError = require('../errors').InvalidFieldsError
+const NotAcceptedError = require('../errors').NotAcceptedError
 
+const crypto = require('crypto')
 const base64url = require('base64url')
+const IlpPacket = require('ilp-packet')
 const BigNumber = require('bignumber.js')
 const isNil = require('lodash/fp/isNil')
 const omitNil = require('lodash/fp/omitBy')(isNil)
 const find = require('lodash/find')
+const filter = require('lodash/filter')
 const debug = require('debug')('ilp-plugin-bells:translate')
 const { validateTransfer, validateMessage } = require('./validate')
+const ilpErrors = require('./ilp-errors')
 
 // Regex matching a string containing 32 base64url-encoded bytes
 const REGEX_32_BYTES_AS_BASE64URL = /^[A-Za-z0-9_-]{43}$/
@@ -22,16 +27,26 @@ const PREIMAGE_CONDITION_SUFFIX_START = 57
 // DER encoding prefix (specific to 32-byte preimages)
 const PREIMAGE_FULFILLMENT_PREAMBLE = Buffer.from([0xa0, 0x22, 0x80, 0x20])
 
+// Any crypto-condition URI, as accepted with `allowCryptoConditions`
+const REGEX_CRYPTO_CONDITION = /^ni:\/\/\/sha-256;[A-Za-z0-9_-]{43}\?fpt=(preimage|prefix|threshold|rsa|ed25519)-sha-256&cost=[0-9]+(&subtypes=[a-z0-9,-]+)?$/
+
+// DER tags of the PREIMAGE-SHA-256, PREFIX-SHA-256, THRESHOLD-SHA-256,
+// RSA-SHA-256 and ED25519-SHA-256 fulfillments
+const FULFILLMENT_TAGS = [0xa0, 0xa1, 0xa2, 0xa3, 0xa4]
+
+// PREIMAGE-SHA-256 crypto-condition URI of any cost, capturing the hash
+const REGEX_PREIMAGE_CONDITION = /^ni:\/\/\/sha-256;([A-Za-z0-9_-]{43})\?fpt=preimage-sha-256&cost=[0-9]+$/
+
 /**
  * Convert from a crypto-condition URI to an Interledger hashlock Buffer.
  *
  * @param {String} cryptoCondition Crypto-condition ni: URI.
- * @param {Boolean} [allowCryptoConditions=false }] Whether non 32-byte SHA-256
- *   preimage crypto-conditions are accepted.
+ * @param {Boolean} [allowCryptoConditions=false] Whether non 32-byte SHA-256
+ *   preimage crypto-conditions are accepted. They are returned as they are.
  *
  * @return {String} Base64url-encoded string containing the 32-byte condition hash.
  */
-const translateFromCryptoCondition = (cryptoCondition) => {
+const translateFromCryptoCondition = (cryptoCondition, allowCryptoConditions) => {
   if (!cryptoCondition) {
     return null
   }
@@ -43,6 +58,9 @@ const translateFromCryptoCondition = (cryptoCondition) => {
   if (cryptoCondition.indexOf(PREIMAGE_CONDITION_PREFIX) !== 0 ||
       cryptoCondition.indexOf(PREIMAGE_CONDITION_SUFFIX) !==
         PREIMAGE_CONDITION_SUFFIX_START) {
+    if (allowCryptoConditions && REGEX_CRYPTO_CONDITION.test(cryptoCondition)) {
+      return cryptoCondition
+    }
     throw new InvalidFieldsError('Invalid crypto-condition, must be PREIMAGE-SHA-256 with 32-byte preimage, but received: ' + cryptoCondition)
   }
 
@@ -56,10 +74,12 @@ const translateFromCryptoCondition = (cryptoCondition) => {
  * Convert from an Interledger condition to a Five Bells Ledger
  *
  * @param {String} condition A base64url string with a SHA-256 preimage condition.
+ * @param {Boolean} [allowCryptoConditions=false] Whether crypto-condition URIs
+ *   are accepted too. They are passed on as they are.
  *
  * @return {String} Crypto-condition URI
  */
-const translateToCryptoCondition = (condition) => {
+const translateToCryptoCondition = (condition, allowCryptoConditions) => {
   if (!condition) {
     return null
   }
@@ -68,6 +88,10 @@ const translateToCryptoCondition = (condition) => {
     throw new TypeError('Condition must be a string')
   }
 
+  if (allowCryptoConditions && REGEX_CRYPTO_CONDITION.test(condition)) {
+    return condition
+  }
+
   if (!REGEX_32_BYTES_AS_BASE64URL.test(condition)) {
     throw new InvalidFieldsError('Condition size must be 32 bytes as base64url, but was: ' + condition)
   }
@@ -75,22 +99,48 @@ const translateToCryptoCondition = (condition) => {
   return PREIMAGE_CONDITION_PREFIX + condition + PREIMAGE_CONDITION_SUFFIX
 }
 
-const translateFromCryptoFulfillment = (cryptoFulfillment) => {
+/**
+ * Convert from a DER-encoded fulfillment to an Interledger preimage.
+ *
+ * @param {String} cryptoFulfillment Base64 or base64url-encoded fulfillment
+ * @param {Boolean} [allowCryptoConditions=false] Whether fulfillments other
+ *   than 32-byte PREIMAGE-SHA-256 ones are accepted. They are returned as
+ *   base64url-encoded DER.
+ *
+ * @return {String} Base64url-encoded preimage
+ */
+const translateFromCryptoFulfillment = (cryptoFulfillment, allowCryptoConditions) => {
   const asBuffer = Buffer.from(cryptoFulfillment, 'base64')
 
   if (PREIMAGE_FULFILLMENT_PREAMBLE.compare(asBuffer, 0, PREIMAGE_FULFILLMENT_PREAMBLE.length) !== 0) {
+    if (allowCryptoConditions && isDerFulfillment(asBuffer)) {
+      return base64url(asBuffer)
+    }
     throw new InvalidFieldsError('Unexpected fulfillment preamble, not a PREIMAGE-SHA-256 fulfillment?')
   }
 
   return base64url(asBuffer.slice(PREIMAGE_FULFILLMENT_PREAMBLE.length))
 }
 
-const translateToCryptoFulfillment = (preimage) => {
+/**
+ * Convert from an Interledger preimage to a DER-encoded fulfillment.
+ *
+ * @param {String} preimage Base64url-encoded 32-byte preimage
+ * @param {Boolean} [allowCryptoConditions=false] Whether DER-encoded
+ *   fulfillments are accepted too. They are passed on as they are.
+ *
+ * @return {String} Base64url-encoded fulfillment
+ */
+const translateToCryptoFulfillment = (preimage, allowCryptoConditions) => {
   if (typeof preimage !== 'string') {
     throw new TypeError('Fulfillment must be a string')
   }
 
   if (!REGEX_32_BYTES_AS_BASE64URL.test(preimage)) {
+    const asBuffer = Buffer.from(preimage, 'base64')
+    if (allowCryptoConditions && isDerFulfillment(asBuffer)) {
+      return base64url(asBuffer)
+    }
     throw new InvalidFieldsError('Condition preimage must be 32 bytes as base64url, but was: ' + preimage)
   }
 
@@ -99,6 +149,118 @@ const translateToCryptoFulfillment = (preimage) => {
   return fulfillmentUri
 }
 
+/**
+ * Check a fulfillment against a hashlock.
+ *
+ * Both may come in either encoding: the fulfillment as a preimage or as a
+ * DER-encoded PREIMAGE-SHA-256 fulfillment, and the condition as a hash or as
+ * a PREIMAGE-SHA-256 crypto-condition URI (with `allowCryptoConditions`).
+ *
+ * @param {String} fulfillment Base64url-encoded preimage or fulfillment
+ * @param {String} condition Base64url-encoded SHA-256 hash, or a
+ *   crypto-condition URI
+ *
+ * @return {Boolean|null} Whether the fulfillment fulfills the condition, or
+ *   null for other crypto-conditions, which can't be checked locally.
+ */
+const fulfillsCondition = (fulfillment, condition) => {
+  const hash = getPreimageConditionHash(condition)
+  if (!hash) {
+    return null
+  }
+  const preimage = getPreimage(fulfillment)
+  if (!preimage) {
+    return false
+  }
+  return base64url(crypto.createHash('sha256').update(preimage).digest()) === hash
+}
+
+/**
+ * Check the fulfillment of a `*_fulfill` event, as returned by
+ * translateBellsToPluginApi, against the transfer's condition.
+ *
+ * @param {Array} eventParams
+ *
+ * @return {NotAcceptedError|null} Error if the fulfillment doesn't match
+ */
+const checkFulfillEvent = (eventParams) => {
+  if (!/_fulfill$/.test(eventParams[0]) ||
+      fulfillsCondition(eventParams[2], eventParams[1].executionCondition) !== false) {
+    return null
+  }
+  return new NotAcceptedError('Fulfillment does not match the condition of transfer ' +
+    eventParams[1].id)
+}
+
+const getPreimageConditionHash = (condition) => {
+  if (typeof condition !== 'string') return null
+  if (REGEX_32_BYTES_AS_BASE64URL.test(condition)) return condition
+  const match = REGEX_PREIMAGE_CONDITION.exec(condition)
+  return match ? match[1] : null
+}
+
+// The preimage of a fulfillment, or null if it isn't a preimage or a
+// PREIMAGE-SHA-256 fulfillment
+const getPreimage = (fulfillment) => {
+  if (typeof fulfillment !== 'string') return null
+  if (REGEX_32_BYTES_AS_BASE64URL.test(fulfillment)) return Buffer.from(fulfillment, 'base64')
+  const asBuffer = Buffer.from(fulfillment, 'base64')
+  const outer = readDerHeader(asBuffer, 0)
+  if (!outer || outer.tag !== PREIMAGE_FULFILLMENT_PREAMBLE[0] ||
+      outer.headerLength + outer.length !== asBuffer.length) return null
+  const inner = readDerHeader(asBuffer, outer.headerLength)
+  if (!inner || inner.tag !== PREIMAGE_FULFILLMENT_PREAMBLE[2] ||
+      outer.headerLength + inner.headerLength + inner.length !== asBuffer.length) return null
+  return asBuffer.slice(outer.headerLength + inner.headerLength)
+}
+
+// Whether the buffer holds a single DER value with the tag of a fulfillment
+const isDerFulfillment = (asBuffer) => {
+  const header = readDerHeader(asBuffer, 0)
+  return !!header && FULFILLMENT_TAGS.indexOf(header.tag) !== -1 &&
+    header.headerLength + header.length === asBuffer.length
+}
+
+// The tag and length of the DER value at `offset`
+const readDerHeader = (asBuffer, offset) => {
+  if (asBuffer.length < offset + 2) return null
+  let length = asBuffer[offset + 1]
+  let headerLength = 2
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f
+    if (lengthBytes < 1 || lengthBytes > 4 || asBuffer.length < offset + 2 + lengthBytes) return null
+    length = asBuffer.readUIntBE(offset + 2, lengthBytes)
+    headerLength += lengthBytes
+  }
+  return { tag: asBuffer[offset], length, headerLength }
+}
+
+/**
+ * Parse a base64-encoded ILP packet.
+ *
+ * @param {String} ilp
+ *
+ * @return {Object} The packet's `type` and `typeString`, along with its fields,
+ *   e.g. `account`, `amount` and `data` for a payment.
+ */
+const decodeIlpPacket = (ilp) => {
+  const packet = IlpPacket.deserializeIlpPacket(Buffer.from(ilp, 'base64'))
+  return Object.assign({ type: packet.type, typeString: packet.typeString }, packet.data)
+}
+
+// With `options.decodeIlp`, attaches the parsed ILP packet of a transfer or
+// message as `ilpPacket`. Packets that can't be parsed are passed to
+// `options.onMalformedIlp` instead.
+const attachIlpPacket = (object, options) => {
+  if (!options || !options.decodeIlp || typeof object.ilp !== 'string') return
+  try {
+    object.ilpPacket = decodeIlpPacket(object.ilp)
+  } catch (err) {
+    debug('malformed ilp packet:', err.message)
+    if (options.onMalformedIlp) options.onMalformedIlp(err, object)
+  }
+}
+
 /**
  * Take a five-bells-ledger notification event object and translate it into a
  * ledger plugin API event object.
@@ -107,10 +269,17 @@ const translateToCryptoFulfillment = (preimage) => {
  * @param {String} account Account from whose perspective we're operating
  * @param {LedgerContext} ledgerContext Additional context related to the ledger
  *   that emitted the event
+ * @param {Object} [options]
+ * @param {Boolean} [options.decodeIlp=false] Attach the parsed ILP packet of
+ *   the transfer or message as `ilpPacket`
+ * @param {Function} [options.onMalformedIlp] Called with the error and the
+ *   transfer or message if its ILP packet can't be parsed
+ * @param {Boolean} [options.allowCryptoConditions=false] Accept any
+ *   crypto-condition, see translateFromCryptoCondition
  *
  * @return {Array} Parameters for the `emit` method
  */
-const translateBellsToPluginApi = (notification, account, ledgerContext) => {
+const translateBellsToPluginApi = (notification, account, ledgerContext, options) => {
   const event = notification.event
   const data = notification.resource
   if (event === 'transfer.create' || event === 'transfer.update') {
@@ -119,214 +288,244 @@ const translateBellsToPluginApi = (notification, account, ledgerContext) => {
       data,
       notification.related_resources,
       account,
-      ledgerContext
+      ledgerContext,
+      options
     )
   } else if (event === 'message.send') {
     debug('notify message', data.from)
-    return translateMessageNotification(data, account, ledgerContext)
+    return translateMessageNotification(data, account, ledgerContext, options)
   } else {
     throw new UnrelatedNotificationError('Invalid notification event: ' + event)
   }
 }
 
+/**
+ * Translate a five-bells-ledger transfer into a ledger plugin API transfer, as
+ * seen from the perspective of the given account.
+ *
+ * @param {Object} fiveBellsTransfer Five Bells Ledger transfer object
+ * @param {String} account Account from whose perspective we're operating
+ * @param {LedgerContext} ledgerContext Additional context related to the ledger
+ * @param {Object} [options]
+ * @param {Boolean} [options.allowCryptoConditions=false] Accept any
+ *   crypto-condition, see translateFromCryptoCondition
+ *
+ * @return {Object|null} Plugin API transfer, or null if the account is neither
+ *   credited nor debited by the transfer
+ */
+const translateTransfer = (fiveBellsTransfer, account, ledgerContext, options) => {
+  const allowCryptoConditions = !!options && !!options.allowCryptoConditions
+  const ownCredits = filter(fiveBellsTransfer.credits, { account })
+  const ownDebits = filter(fiveBellsTransfer.debits, { account })
+  if (!ownCredits.length && !ownDebits.length) return null
+
+  // ILP transfers contain one credit and one debit. For transfers with more
+  // legs, `from` and `to` name the first counterparty and the full list of
+  // legs is exposed in `debits` and `credits`.
+  const direction = ownCredits.length ? 'incoming' : 'outgoing'
+  const credit = ownCredits[0] || fiveBellsTransfer.credits[0]
+  const debit = ownDebits[0] || fiveBellsTransfer.debits[0]
+  const isMultiLeg = fiveBellsTransfer.credits.length > 1 || fiveBellsTransfer.debits.length > 1
+
+  // The amount is what this account actually receives or pays
+  const ownLegs = direction === 'incoming' ? ownCredits : ownDebits
+  const amount = ownLegs.reduce((sum, leg) =>
+    sum.plus(toIntegerAmount(leg.amount, ledgerContext)), new BigNumber(0))
+  const from = ledgerContext.prefix + ledgerContext.accountUriToName(debit.account)
+  const to = ledgerContext.prefix + ledgerContext.accountUriToName(credit.account)
+  return omitNil({
+    id: fiveBellsTransfer.id.substring(fiveBellsTransfer.id.length - 36),
+    direction: direction,
+    account: direction === 'incoming' ? from : to,
+    from: from,
+    to: to,
+    ledger: ledgerContext.prefix,
+    amount: amount.toString(),
+    ilp: credit.memo && credit.memo.ilp,
+    noteToSelf: direction === 'outgoing' ? debit.memo : undefined,
+    debits: isMultiLeg ? fiveBellsTransfer.debits.map((leg) => translateLeg(leg, ledgerContext)) : undefined,
+    credits: isMultiLeg ? fiveBellsTransfer.credits.map((leg) => translateLeg(leg, ledgerContext)) : undefined,
+    executionCondition: translateFromCryptoCondition(
+      fiveBellsTransfer.execution_condition,
+      allowCryptoConditions
+    ),
+    cancellationCondition: translateFromCryptoCondition(
+      fiveBellsTransfer.cancellation_condition,
+      allowCryptoConditions
+    ),
+    expiresAt: fiveBellsTransfer.expires_at,
+    cases: fiveBellsTransfer.additional_info && fiveBellsTransfer.additional_info.cases
+      ? fiveBellsTransfer.additional_info.cases
+      : undefined
+  })
+}
+
+const translateLeg = (leg, ledgerContext) => omitNil({
+  account: ledgerContext.prefix + ledgerContext.accountUriToName(leg.account),
+  amount: toIntegerAmount(leg.amount, ledgerContext).toString(),
+  ilp: leg.memo && leg.memo.ilp,
+  memo: leg.memo
+})
+
+// for legacy reasons, the FiveBells ledger API uses float values for amounts of debits and credits,
+// which need to be multiplied by currencyScale to get their integer value in ledger units.
+const toIntegerAmount = (amount, ledgerContext) =>
+  (new BigNumber(amount)).shift(ledgerContext.getInfo().currencyScale)
+
+const toFiveBellsAmount = (amount, ledgerContext) =>
+  (new BigNumber(amount)).shift(-ledgerContext.getInfo().currencyScale).toString()
+
 const translateTransferNotification = (
   fiveBellsTransfer,
   relatedResources,
   account,
-  ledgerContext
+  ledgerContext,
+  options
 ) => {
   validateTransfer(fiveBellsTransfer)
 
-  let handled = false
-  for (let credit of fiveBellsTransfer.credits) {
-    if (credit.account === account) {
-      handled = true
-
-      // TODO: What if there are multiple debits?
-      const debit = fiveBellsTransfer.debits[0]
-
-      // for legacy reasons, the FiveBells ledger API uses float values for amounts of debits and credits,
-      // which need to be multiplied by currencyScale to get their integer value in ledger units.
-      const integerAmount = (new BigNumber(credit.amount)).shift(ledgerContext.getInfo().currencyScale)
-      const transfer = omitNil({
-        id: fiveBellsTransfer.id.substring(fiveBellsTransfer.id.length - 36),
-        direction: 'incoming',
-        account: ledgerContext.prefix + ledgerContext.accountUriToName(debit.account),
-        from: ledgerContext.prefix + ledgerContext.accountUriToName(debit.account),
-        to: ledgerContext.prefix + ledgerContext.accountUriToName(credit.account),
-        ledger: ledgerContext.prefix,
-        amount: integerAmount.toString(),
-        ilp: credit.memo && credit.memo.ilp,
-        executionCondition: translateFromCryptoCondition(
-          fiveBellsTransfer.execution_condition
-        ),
-        cancellationCondition: translateFromCryptoCondition(
-          fiveBellsTransfer.cancellation_condition
-        ),
-        expiresAt: fiveBellsTransfer.expires_at,
-        cases: fiveBellsTransfer.additional_info && fiveBellsTransfer.additional_info.cases
-          ? fiveBellsTransfer.additional_info.cases
-          : undefined
-      })
+  const transfer = translateTransfer(fiveBellsTransfer, account, ledgerContext, options)
+  if (!transfer) {
+    throw new UnrelatedNotificationError('Notification does not seem related to connector')
+  }
+  attachIlpPacket(transfer, options)
+  const direction = transfer.direction
+  const allowCryptoConditions = !!options && !!options.allowCryptoConditions
 
-      if (fiveBellsTransfer.state === 'prepared') {
-        return ['incoming_prepare', transfer]
-      }
-      if (fiveBellsTransfer.state === 'executed' && !transfer.executionCondition) {
-        return ['incoming_transfer', transfer]
-      }
-
-      if (fiveBellsTransfer.state === 'executed' && relatedResources &&
-          relatedResources.execution_condition_fulfillment) {
-        return ['incoming_fulfill', transfer,
-          translateFromCryptoFulfillment(relatedResources.execution_condition_fulfillment), relatedResources.fulfillment_data]
-      }
-
-      if (fiveBellsTransfer.state === 'rejected' && relatedResources &&
-          relatedResources.cancellation_condition_fulfillment) {
-        return ['incoming_cancel', transfer,
-          translateFromCryptoFulfillment(relatedResources.cancellation_condition_fulfillment), relatedResources.fulfillment_data]
-      } else if (fiveBellsTransfer.state === 'rejected') {
-        const rejectedCredit = find(fiveBellsTransfer.credits, 'rejected')
-        if (rejectedCredit) {
-          return ['incoming_reject', transfer, rejectedCredit.rejection_message]
-        } else {
-          return ['incoming_cancel', transfer, {
-            code: 'R01',
-            name: 'Transfer Timed Out',
-            message: 'transfer timed out.',
-            triggered_by: ledgerContext.prefix + ledgerContext.accountUriToName(account),
-            triggered_at: (new Date()).toISOString(),
-            additional_info: {}
-          }]
-        }
-      }
-    }
+  if (fiveBellsTransfer.state === 'prepared') {
+    return [direction + '_prepare', transfer]
+  }
+  if (fiveBellsTransfer.state === 'executed' && !transfer.executionCondition) {
+    return [direction + '_transfer', transfer]
   }
 
-  for (let debit of fiveBellsTransfer.debits) {
-    if (debit.account === account) {
-      handled = true
-
-      // ILP transfers contain one credit and one debit
-      // TODO: Perhaps this method should filter out transfers with multiple
-      //       credits/debits?
-      const credit = fiveBellsTransfer.credits[0]
-
-      // for legacy reasons, the FiveBells ledger API uses float values for amounts of debits and credits,
-      // which need to be multiplied by currencyScale to get their integer value in ledger units.
-      const integerAmount = (new BigNumber(credit.amount)).shift(ledgerContext.getInfo().currencyScale)
-      const transfer = omitNil({
-        id: fiveBellsTransfer.id.substring(fiveBellsTransfer.id.length - 36),
-        direction: 'outgoing',
-        account: ledgerContext.prefix + ledgerContext.accountUriToName(credit.account),
-        from: ledgerContext.prefix + ledgerContext.accountUriToName(debit.account),
-        to: ledgerContext.prefix + ledgerContext.accountUriToName(credit.account),
-        ledger: ledgerContext.prefix,
-        amount: integerAmount.toString(),
-        ilp: credit.memo && credit.memo.ilp,
-        noteToSelf: debit.memo,
-        executionCondition: translateFromCryptoCondition(
-          fiveBellsTransfer.execution_condition
-        ),
-        cancellationCondition: translateFromCryptoCondition(
-          fiveBellsTransfer.cancellation_condition
-        ),
-        expiresAt: fiveBellsTransfer.expires_at,
-        cases: fiveBellsTransfer.additional_info && fiveBellsTransfer.additional_info.cases
-          ? fiveBellsTransfer.additional_info.cases
-          : undefined
-      })
+  if (fiveBellsTransfer.state === 'executed' && relatedResources &&
+      relatedResources.execution_condition_fulfillment) {
+    return [direction + '_fulfill', transfer,
+      translateFromCryptoFulfillment(relatedResources.execution_condition_fulfillment, allowCryptoConditions),
+      relatedResources.fulfillment_data]
+  }
 
-      if (fiveBellsTransfer.state === 'prepared') {
-        return ['outgoing_prepare', transfer]
-      }
-      if (fiveBellsTransfer.state === 'executed' && !transfer.executionCondition) {
-        return ['outgoing_transfer', transfer]
-      }
-
-      if (fiveBellsTransfer.state === 'executed' && relatedResources &&
-          relatedResources.execution_condition_fulfillment) {
-        return ['outgoing_fulfill', transfer,
-          translateFromCryptoFulfillment(relatedResources.execution_condition_fulfillment), relatedResources.fulfillment_data]
-      }
-
-      if (fiveBellsTransfer.state === 'rejected' && relatedResources &&
-          relatedResources.cancellation_condition_fulfillment) {
-        return ['outgoing_cancel', transfer,
-          translateFromCryptoFulfillment(relatedResources.cancellation_condition_fulfillment), relatedResources.fulfillment_data]
-      } else if (fiveBellsTransfer.state === 'rejected') {
-        const rejectedCredit = find(fiveBellsTransfer.credits, 'rejected')
-        if (rejectedCredit) {
-          return ['outgoing_reject', transfer, rejectedCredit.rejection_message]
-        } else {
-          return ['outgoing_cancel', transfer, {
-            code: 'R01',
-            name: 'Transfer Timed Out',
-            message: 'transfer timed out.',
-            triggered_by: ledgerContext.prefix + ledgerContext.accountUriToName(account),
-            triggered_at: (new Date()).toISOString(),
-            additional_info: {}
-          }]
-        }
-      }
+  if (fiveBellsTransfer.state === 'rejected' && relatedResources &&
+      relatedResources.cancellation_condition_fulfillment) {
+    return [direction + '_cancel', transfer,
+      translateFromCryptoFulfillment(relatedResources.cancellation_condition_fulfillment, allowCryptoConditions),
+      relatedResources.fulfillment_data]
+  } else if (fiveBellsTransfer.state === 'rejected') {
+    const rejectedCredit = find(fiveBellsTransfer.credits, 'rejected')
+    if (rejectedCredit) {
+      return [direction + '_reject', transfer,
+        ilpErrors.normalizeRejectionMessage(rejectedCredit.rejection_message)]
+    } else {
+      // rejected without a rejection message, i.e. expired
+      return [direction + '_cancel', transfer, ilpErrors.normalizeRejectionMessage({
+        code: 'R00',
+        message: 'transfer timed out.',
+        triggered_at: (new Date()).toISOString()
+      }, ledgerContext.prefix + ledgerContext.accountUriToName(account))]
     }
   }
-  if (!handled) {
-    throw new UnrelatedNotificationError('Notification does not seem related to connector')
-  }
 }
 
-const translateMessageNotification = (message, account, ledgerContext) => {
+const translateMessageNotification = (message, account, ledgerContext, options) => {
   validateMessage(message, ledgerContext)
 
+  const pluginMessage = {
+    ledger: ledgerContext.prefix,
+    from: ledgerContext.prefix + ledgerContext.accountUriToName(message.from),
+    to: ledgerContext.prefix + ledgerContext.accountUriToName(message.to),
+    ilp: message.data && message.data.ilp,
+    custom: message.data && message.data.custom
+  }
+  attachIlpPacket(pluginMessage, options)
+
   return [
     'incoming_message',
-    {
-      ledger: ledgerContext.prefix,
-      from: ledgerContext.prefix + ledgerContext.accountUriToName(message.from),
-      to: ledgerContext.prefix + ledgerContext.accountUriToName(message.to),
-      ilp: message.data && message.data.ilp,
-      custom: message.data && message.data.custom
-    },
+    pluginMessage,
     message.data && message.data.id
   ]
 }
 
-const translatePluginApiToBells = (transfer, account, ledgerContext) => {
-  const sourceAddress = ledgerContext.parseAddress(transfer.to)
-  // for legacy reasons, the FiveBells ledger API uses float values for amounts of debits and credits,
-  // which need to be multiplied by currencyScale to get their integer value in ledger units.
-  const fiveBellsAmount = (new BigNumber(transfer.amount)).shift(-ledgerContext.getInfo().currencyScale)
-    .toString()
+/**
+ * Translate a plugin API transfer into a five-bells-ledger transfer.
+ *
+ * A transfer may list several `credits`, each with its own `to`, `amount`,
+ * `ilp` and `memo`, in which case `amount` is the total that is debited and
+ * the transfer itself mustn't have an `ilp` packet. With
+ * `options.allowCryptoConditions`, its conditions may also be crypto-condition
+ * URIs.
+ */
+const translatePluginApiToBells = (transfer, account, ledgerContext, options) => {
+  const allowCryptoConditions = !!options && !!options.allowCryptoConditions
+  if (transfer.credits && transfer.ilp !== undefined) {
+    throw new InvalidFieldsError('ilp must be given per credit for transfers with credits')
+  }
+  const credits = transfer.credits || [{ to: transfer.to, amount: transfer.amount, ilp: transfer.ilp }]
   return omitNil({
     id: ledgerContext.urls.transfer.replace(':id', transfer.id),
     ledger: ledgerContext.host,
     debits: [omitNil({
       account: account,
-      amount: fiveBellsAmount,
+      amount: toFiveBellsAmount(transfer.amount, ledgerContext),
       authorized: true,
       memo: transfer.noteToSelf
     })],
-    credits: [omitNil({
-      account: ledgerContext.urls.account.replace(':name', encodeURIComponent(sourceAddress.username)),
-      amount: fiveBellsAmount,
-      memo: transfer.ilp && {ilp: transfer.ilp}
-    })],
+    credits: credits.map((credit) => {
+      const destinationAddress = ledgerContext.parseAddress(credit.to)
+      const memo = (credit.memo || credit.ilp)
+        ? Object.assign({}, credit.memo, omitNil({ ilp: credit.ilp }))
+        : undefined
+      return omitNil({
+        account: ledgerContext.urls.account.replace(':name', encodeURIComponent(destinationAddress.username)),
+        amount: toFiveBellsAmount(credit.amount, ledgerContext),
+        memo: memo
+      })
+    }),
     execution_condition: translateToCryptoCondition(
-      transfer.executionCondition
+      transfer.executionCondition,
+      allowCryptoConditions
     ),
     cancellation_condition: translateToCryptoCondition(
-      transfer.cancellationCondition
+      transfer.cancellationCondition,
+      allowCryptoConditions
     ),
     expires_at: transfer.expiresAt,
     additional_info: transfer.cases ? { cases: transfer.cases } : undefined
   })
 }
 
+/**
+ * Translate a notary case, as used for atomic mode, to the five-bells-notary
+ * format. The notary checks that the case's execution condition is fulfilled
+ * before it expires, and then executes or rejects the transfers it notifies.
+ */
+const translateCaseToNotary = (notaryCase, caseUri, notaryUri) => omitNil({
+  id: caseUri,
+  execution_condition: translateToCryptoCondition(notaryCase.executionCondition, true),
+  expires_at: notaryCase.expiresAt,
+  notaries: [ notaryUri ],
+  notification_targets: notaryCase.notificationTargets
+})
+
+const translateCaseFromNotary = (notaryCase) => omitNil({
+  id: notaryCase.id,
+  state: notaryCase.state,
+  executionCondition: translateFromCryptoCondition(notaryCase.execution_condition, true),
+  expiresAt: notaryCase.expires_at,
+  notaries: notaryCase.notaries,
+  notificationTargets: notaryCase.notification_targets
+})
+
 Object.assign(module.exports, {
   translateBellsToPluginApi,
+  translateTransfer,
+  decodeIlpPacket,
   translatePluginApiToBells,
+  translateFromCryptoCondition,
   translateToCryptoFulfillment,
-  translateFromCryptoFulfillment
+  translateFromCryptoFulfillment,
+  fulfillsCondition,
+  checkFulfillEvent,
+  translateCaseToNotary,
+  translateCaseFromNotary
 })
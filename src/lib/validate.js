@@ -21,7 +21,18 @@ const validateMessage = (message, ledgerContext) => {
   }
 }
 
+// reads a numeric policy option, e.g. `reconnect.maxAttempts`
+const getNonNegativeNumber = (options, optionsName, key, defaultValue) => {
+  if (options[key] === undefined) return defaultValue
+  if (typeof options[key] !== 'number' || !(options[key] >= 0)) {
+    throw new TypeError('Expected ' + optionsName + '.' + key +
+      ' to be a non-negative number, received: ' + options[key])
+  }
+  return options[key]
+}
+
 Object.assign(module.exports, {
   validateTransfer,
-  validateMessage
+  validateMessage,
+  getNonNegativeNumber
 })
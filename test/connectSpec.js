@@ -14,7 +14,12 @@ const wsHelper = require('./helpers/ws')
 const cloneDeep = require('lodash/cloneDeep')
 const _ = require('lodash')
 const ExternalError = require('../src/errors/external-error')
+const UnreachableError = require('../src/errors/unreachable-error')
+const errors = require('../src/errors')
 const mockSocket = require('mock-socket')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 
 mock('ws', wsHelper.WebSocket)
 const PluginBells = require('..')
@@ -149,6 +154,73 @@ describe('Connection methods', function () {
       clock.restore()
     })
 
+    describe('with a custom ping interval', function () {
+      beforeEach(function () {
+        nock('http://red.example')
+          .get('/accounts/mike')
+          .reply(200, {
+            ledger: 'http://red.example',
+            name: 'mike'
+          })
+        nock('http://red.example')
+          .get('/')
+          .reply(200, this.infoRedLedger)
+        nock('http://red.example')
+          .get('/auth_token')
+          .reply(200, {token: 'abc'})
+
+        this.plugin = new PluginBells({
+          prefix: 'example.red.',
+          account: 'http://red.example/accounts/mike',
+          password: 'mike',
+          pingInterval: 10,
+          pongTimeout: 50
+        })
+      })
+
+      afterEach(function * () {
+        yield this.plugin.disconnect()
+      })
+
+      it('measures the round-trip time of pings', function * () {
+        yield this.plugin.connect()
+        assert.isNull(this.plugin.getLatency())
+
+        const latency = yield new Promise((resolve) => this.plugin.once('latency', resolve))
+        assert.isAtLeast(latency, 0)
+        assert.equal(this.plugin.getLatency(), latency)
+      })
+
+      it('reconnects if the ledger doesn\'t answer a ping', function * () {
+        yield this.plugin.connect()
+        const connectionSpy = sinon.spy()
+        this.wsRedLedger.on('connection', connectionSpy)
+        // the pings never reach the ledger
+        this.plugin.ws.ping = () => {}
+
+        yield new Promise((resolve) => this.plugin.once('disconnect', resolve))
+        assert.isFalse(this.plugin.isConnected())
+        yield new Promise((resolve) => this.plugin.once('connect', resolve))
+        sinon.assert.calledOnce(connectionSpy)
+      })
+
+      it('validates the options', function () {
+        nock.cleanAll()
+        assert.throws(() => new PluginBells({
+          account: 'http://red.example/accounts/mike',
+          pingInterval: 0
+        }), TypeError, /options.pingInterval/)
+        assert.throws(() => new PluginBells({
+          account: 'http://red.example/accounts/mike',
+          pongTimeout: 'never'
+        }), TypeError, /options.pongTimeout/)
+        assert.throws(() => new PluginBells({
+          account: 'http://red.example/accounts/mike',
+          expiryGracePeriod: -1
+        }), TypeError, /options.expiryGracePeriod/)
+      })
+    })
+
     it('retries querying the account forever if the timeout is Infinity, even if gets a 4xx error', function * () {
       const clock = sinon.useFakeTimers('setTimeout')
       // run the clock extra fast
@@ -966,6 +1038,672 @@ describe('Connection methods', function () {
       }
       clock.restore()
     })
+
+    describe('with a reconnect policy', function () {
+      beforeEach(function () {
+        this.createPlugin = (reconnect) => {
+          this.plugin = new PluginBells({
+            prefix: 'example.red.',
+            account: 'http://red.example/accounts/mike',
+            password: 'mike',
+            reconnect: reconnect
+          })
+          this.errorSpy = sinon.spy()
+          this.plugin.on('error', this.errorSpy)
+          return this.plugin
+        }
+        this.waitForFailure = () => new Promise((resolve) => {
+          this.plugin.on('state_change', (change) => {
+            if (change.state === 'failed') resolve(change)
+          })
+        })
+      })
+
+      afterEach(function * () {
+        yield this.plugin.disconnect()
+      })
+
+      it('gives up after maxAttempts failed attempts', function * () {
+        yield this.createPlugin({ maxAttempts: 3, backoffMin: 1, backoffMax: 2 }).connect()
+        const failed = this.waitForFailure()
+        this.wsRedLedger.emit('close')
+        this.wsRedLedger.stop()
+
+        const change = yield failed
+        assert.equal(change.previous, 'reconnecting')
+        sinon.assert.calledOnce(this.errorSpy)
+        assert.instanceOf(this.errorSpy.firstCall.args[0], UnreachableError)
+        assert.match(this.errorSpy.firstCall.args[0].message,
+          /gave up reconnecting to ws:\/\/red.example\/websocket after 3 attempts/)
+        assert.isFalse(this.plugin.isConnected())
+      })
+
+      it('emits "reconnect_failed" when it gives up, even without an error listener', function * () {
+        yield this.createPlugin({ maxAttempts: 1, backoffMin: 1, backoffMax: 2 }).connect()
+        this.plugin.removeListener('error', this.errorSpy)
+        const gaveUp = new Promise((resolve) => this.plugin.once('reconnect_failed', resolve))
+        this.wsRedLedger.emit('close')
+        this.wsRedLedger.stop()
+
+        const err = yield gaveUp
+        assert.instanceOf(err, UnreachableError)
+        assert.equal(this.plugin.getConnectionState().state, 'failed')
+      })
+
+      it('gives up once the outage lasts longer than maxOutage', function * () {
+        yield this.createPlugin({ maxOutage: 20, backoffMin: 5, backoffMax: 10 }).connect()
+        const failed = this.waitForFailure()
+        this.wsRedLedger.emit('close')
+        this.wsRedLedger.stop()
+
+        yield failed
+        sinon.assert.calledOnce(this.errorSpy)
+        assert.match(this.errorSpy.firstCall.args[0].message, /gave up reconnecting to ws:\/\/red.example\/websocket after \d+ms/)
+      })
+
+      it('starts counting attempts again after reconnecting', function * () {
+        yield this.createPlugin({ maxAttempts: 1, backoffMin: 1, backoffMax: 2 }).connect()
+        for (let i = 0; i < 3; i++) {
+          const reconnected = new Promise((resolve) => this.plugin.once('connect', resolve))
+          this.wsRedLedger.emit('close')
+          yield reconnected
+        }
+        sinon.assert.notCalled(this.errorSpy)
+      })
+    })
+  })
+
+  describe('connection state', function () {
+    beforeEach(function * () {
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .reply(200, {
+          ledger: 'http://red.example',
+          name: 'mike'
+        })
+      nock('http://red.example')
+        .get('/')
+        .reply(200, this.infoRedLedger)
+    })
+
+    it('goes through each stage of connecting', function * () {
+      nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {token: 'abc'})
+      nock('http://red.example')
+        .get('/transfers/1')
+        .reply(403)
+      const states = []
+      this.plugin.on('state_change', (change) => states.push(change.previous + ' -> ' + change.state))
+
+      assert.equal(this.plugin.getConnectionState().state, 'idle')
+      yield this.plugin.connect()
+      assert.deepEqual(states, [
+        'idle -> fetching-metadata',
+        'fetching-metadata -> authenticating',
+        'authenticating -> ws-connecting',
+        'ws-connecting -> subscribing',
+        'subscribing -> connected'
+      ])
+      assert.include(this.plugin.getConnectionState(), {state: 'connected', attempt: 0})
+
+      yield this.plugin.disconnect()
+      assert.deepEqual(states.slice(5), [
+        'connected -> disconnecting',
+        'disconnecting -> idle'
+      ])
+    })
+
+    it('reports reconnect attempts', function * () {
+      nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {token: 'abc'})
+      nock('http://red.example')
+        .get('/transfers/1')
+        .reply(403)
+      yield this.plugin.connect()
+
+      const changes = []
+      this.plugin.on('state_change', (change) => changes.push(change))
+      const reconnected = new Promise((resolve) => this.plugin.once('connect', resolve))
+      this.wsRedLedger.emit('close')
+      assert.include(this.plugin.getConnectionState(), {state: 'reconnecting', attempt: 1})
+      yield reconnected
+
+      assert.deepEqual(changes.map((change) => [ change.state, change.attempt ]), [
+        [ 'reconnecting', 1 ],
+        [ 'ws-connecting', 1 ],
+        [ 'subscribing', 1 ],
+        [ 'connected', 0 ]
+      ])
+    })
+
+    it('is failed if connecting fails', function * () {
+      nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {})
+      nock('http://red.example')
+        .get('/transfers/1')
+        .reply(403)
+      const failed = new Promise((resolve) => this.plugin.on('state_change', (change) => {
+        if (change.state === 'failed') resolve(change)
+      }))
+
+      yield this.plugin.connect().should.be.rejected
+      const change = yield failed
+      assert.equal(change.previous, 'authenticating')
+      assert.match(change.reason, /auth token/)
+      assert.equal(this.plugin.getConnectionState().state, 'failed')
+    })
+  })
+
+  describe('replaying missed notifications', function () {
+    beforeEach(function * () {
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .reply(200, {
+          ledger: 'http://red.example',
+          name: 'mike'
+        })
+      nock('http://red.example')
+        .get('/')
+        .reply(200, this.infoRedLedger)
+      nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {token: 'abc'})
+      nock('http://red.example')
+        .get('/transfers/1')
+        .reply(403)
+
+      this.fiveBellsTransfer = {
+        id: 'http://red.example/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45',
+        ledger: 'http://red.example',
+        debits: [{
+          account: 'http://red.example/accounts/alice',
+          amount: '10'
+        }],
+        credits: [{
+          account: 'http://red.example/accounts/mike',
+          amount: '10'
+        }],
+        execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32',
+        expires_at: (new Date(Date.now() + 10000)).toISOString(),
+        state: 'prepared'
+      }
+
+      yield this.plugin.connect()
+      yield this.plugin._handleNotification({
+        event: 'transfer.create',
+        resource: this.fiveBellsTransfer
+      })
+    })
+
+    it('emits the events for transfers that changed state while disconnected', function * () {
+      nock('http://red.example')
+        .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        .reply(200, Object.assign({}, this.fiveBellsTransfer, {state: 'executed'}))
+        .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45/fulfillment')
+        .reply(200, 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ')
+
+      const fulfilled = new Promise((resolve) => this.plugin.once('incoming_fulfill', (transfer, fulfillment) => {
+        assert.equal(transfer.id, 'ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        assert.equal(fulfillment, 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        resolve()
+      }))
+      this.wsRedLedger.emit('close')
+      yield fulfilled
+      assert.deepEqual(this.plugin.transferTracker.getInFlight(), [])
+    })
+
+    it('emits nothing if the transfer is still prepared', function * () {
+      nock('http://red.example')
+        .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        .reply(200, this.fiveBellsTransfer)
+      const spyPrepare = sinon.spy()
+      this.plugin.on('incoming_prepare', spyPrepare)
+
+      this.wsRedLedger.emit('close')
+      yield new Promise((resolve) => this.plugin.once('connect', resolve))
+      yield new Promise((resolve) => setTimeout(resolve, 10))
+      sinon.assert.notCalled(spyPrepare)
+      assert.equal(this.plugin.transferTracker.getInFlight().length, 1)
+    })
+
+    it('stops tracking transfers the ledger no longer knows about', function * () {
+      nock('http://red.example')
+        .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        .reply(404, {id: 'NotFoundError', message: 'Unknown transfer'})
+
+      this.wsRedLedger.emit('close')
+      yield new Promise((resolve) => this.plugin.once('connect', resolve))
+      yield new Promise((resolve) => setTimeout(resolve, 10))
+      assert.deepEqual(this.plugin.transferTracker.getInFlight(), [])
+    })
+  })
+
+  describe('expiry watchdog', function () {
+    beforeEach(function * () {
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .reply(200, {
+          ledger: 'http://red.example',
+          name: 'mike'
+        })
+      nock('http://red.example')
+        .get('/')
+        .reply(200, this.infoRedLedger)
+      nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {token: 'abc'})
+      nock('http://red.example')
+        .get('/transfers/1')
+        .reply(403)
+
+      this.fiveBellsTransfer = {
+        id: 'http://red.example/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45',
+        ledger: 'http://red.example',
+        debits: [{
+          account: 'http://red.example/accounts/mike',
+          amount: '10',
+          authorized: true
+        }],
+        credits: [{
+          account: 'http://red.example/accounts/alice',
+          amount: '10'
+        }],
+        execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32',
+        expires_at: (new Date(Date.now() + 20)).toISOString(),
+        state: 'prepared'
+      }
+
+      yield this.plugin.connect()
+      this.plugin.expiryWatchdog.gracePeriod = 10
+    })
+
+    it('emits outgoing_cancel once the ledger confirms the transfer expired', function * () {
+      nock('http://red.example')
+        .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        .reply(200, Object.assign({}, this.fiveBellsTransfer, {state: 'rejected', rejection_reason: 'expired'}))
+
+      const cancelled = new Promise((resolve) => this.plugin.once('outgoing_cancel', (transfer, reason) => {
+        assert.equal(transfer.id, 'ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        assert.equal(reason.code, 'R00')
+        assert.equal(reason.name, 'Transfer Timed Out')
+        assert.equal(reason.triggered_by, 'example.red.mike')
+        resolve()
+      }))
+      yield this.plugin._handleNotification({
+        event: 'transfer.create',
+        resource: this.fiveBellsTransfer
+      })
+      yield cancelled
+      assert.deepEqual(this.plugin.transferTracker.getInFlight(), [])
+    })
+
+    it('checks again if the ledger has not expired the transfer yet', function * () {
+      nock('http://red.example')
+        .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        .reply(200, this.fiveBellsTransfer)
+        .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        .reply(200, Object.assign({}, this.fiveBellsTransfer, {state: 'rejected', rejection_reason: 'expired'}))
+
+      const cancelled = new Promise((resolve) => this.plugin.once('outgoing_cancel', resolve))
+      yield this.plugin._handleNotification({
+        event: 'transfer.create',
+        resource: this.fiveBellsTransfer
+      })
+      yield cancelled
+    })
+
+    it('waits longer between each check of a transfer the ledger has not expired', function * () {
+      const checked = nock('http://red.example')
+        .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        .times(3)
+        .reply(200, this.fiveBellsTransfer)
+
+      yield this.plugin._handleNotification({
+        event: 'transfer.create',
+        resource: this.fiveBellsTransfer
+      })
+      const entry = this.plugin.expiryWatchdog.watched.get('ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+      while (entry.rechecks < 3) {
+        yield new Promise((resolve) => setTimeout(resolve, 5))
+      }
+      assert.isTrue(checked.isDone())
+      assert.isAbove(entry.checkAt - Date.now(), 20)
+    })
+
+    it('does not check transfers the ledger already notified us about', function * () {
+      yield this.plugin._handleNotification({
+        event: 'transfer.create',
+        resource: this.fiveBellsTransfer
+      })
+      assert.equal(this.plugin.expiryWatchdog.watched.size, 1)
+      yield this.plugin._handleNotification({
+        event: 'transfer.update',
+        resource: Object.assign({}, this.fiveBellsTransfer, {state: 'rejected', rejection_reason: 'expired'})
+      })
+      assert.equal(this.plugin.expiryWatchdog.watched.size, 0)
+    })
+
+    it('stops checking when disconnected', function * () {
+      yield this.plugin._handleNotification({
+        event: 'transfer.create',
+        resource: this.fiveBellsTransfer
+      })
+      yield this.plugin.disconnect()
+      assert.equal(this.plugin.expiryWatchdog.watched.size, 0)
+    })
+
+    it('waits for transfers that expire further out than a timer can', function * () {
+      yield this.plugin._handleNotification({
+        event: 'transfer.create',
+        resource: Object.assign({}, this.fiveBellsTransfer, {
+          expires_at: (new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)).toISOString()
+        })
+      })
+      yield new Promise((resolve) => setTimeout(resolve, 30))
+      assert.equal(this.plugin.expiryWatchdog.watched.size, 1)
+    })
+
+    it('checks tracked transfers again after reconnecting', function * () {
+      yield this.plugin._handleNotification({
+        event: 'transfer.create',
+        resource: Object.assign({}, this.fiveBellsTransfer, {
+          expires_at: (new Date(Date.now() + 60000)).toISOString()
+        })
+      })
+      yield this.plugin.disconnect()
+
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .reply(200, {
+          ledger: 'http://red.example',
+          name: 'mike'
+        })
+        .get('/')
+        .reply(200, this.infoRedLedger)
+        .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        .reply(200, this.fiveBellsTransfer)
+      yield this.plugin.connect()
+      assert.equal(this.plugin.expiryWatchdog.watched.size, 1)
+    })
+  })
+
+  describe('updateCredentials', function () {
+    beforeEach(function * () {
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .reply(200, {
+          ledger: 'http://red.example',
+          name: 'mike'
+        })
+      nock('http://red.example')
+        .get('/')
+        .reply(200, this.infoRedLedger)
+      nock('http://red.example')
+        .get('/auth_token')
+        .basicAuth({user: 'mike', pass: 'mike'})
+        .reply(200, {token: 'abc'})
+      nock('http://red.example')
+        .get('/transfers/1')
+        .reply(403)
+      yield this.plugin.connect()
+    })
+
+    it('requests a new auth token with the new credentials', function * () {
+      this.plugin.updateCredentials({password: 'rotated'})
+      nock('http://red.example')
+        .get('/auth_token')
+        .basicAuth({user: 'mike', pass: 'rotated'})
+        .reply(200, {token: 'def'})
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .matchHeader('authorization', 'Bearer def')
+        .reply(200, {balance: '1'})
+      assert.equal(yield this.plugin.getBalance(), '100')
+    })
+
+    it('rejects unknown fields', function () {
+      assert.throws(() => this.plugin.updateCredentials({account: 'http://red.example/accounts/bob'}),
+        /Unknown credentials field: account/)
+    })
+  })
+
+  describe('auth token recovery', function () {
+    beforeEach(function * () {
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .reply(200, {
+          ledger: 'http://red.example',
+          name: 'mike'
+        })
+      nock('http://red.example')
+        .get('/')
+        .reply(200, this.infoRedLedger)
+      nock('http://red.example')
+        .get('/transfers/1')
+        .reply(403)
+    })
+
+    describe('with a long-lived token', function () {
+      beforeEach(function * () {
+        nock('http://red.example')
+          .get('/auth_token')
+          .reply(200, {token: 'abc'})
+        yield this.plugin.connect()
+      })
+
+      it('retries a request with a new token if the ledger rejects the token', function * () {
+        nock('http://red.example')
+          .get('/accounts/mike')
+          .matchHeader('authorization', 'Bearer abc')
+          .reply(401, {id: 'UnauthorizedError', message: 'Invalid token'})
+          .get('/auth_token')
+          .reply(200, {token: 'def'})
+          .get('/accounts/mike')
+          .matchHeader('authorization', 'Bearer def')
+          .reply(200, {balance: '1'})
+        assert.equal(yield this.plugin.getBalance(), '100')
+      })
+
+      it('retries a request with a new token if the ledger refuses the token with a 403', function * () {
+        nock('http://red.example')
+          .get('/accounts/mike')
+          .matchHeader('authorization', 'Bearer abc')
+          .reply(403, {id: 'UnauthorizedError', message: 'Unknown or invalid account / password'})
+          .get('/auth_token')
+          .reply(200, {token: 'def'})
+          .get('/accounts/mike')
+          .matchHeader('authorization', 'Bearer def')
+          .reply(200, {balance: '1'})
+        assert.equal(yield this.plugin.getBalance(), '100')
+      })
+
+      it('only retries once', function * () {
+        nock('http://red.example')
+          .get('/accounts/mike')
+          .matchHeader('authorization', 'Bearer abc')
+          .reply(401, {id: 'UnauthorizedError', message: 'Invalid token'})
+          .get('/auth_token')
+          .reply(200, {token: 'def'})
+          .get('/accounts/mike')
+          .matchHeader('authorization', 'Bearer def')
+          .reply(401, {id: 'UnauthorizedError', message: 'Invalid token'})
+        yield assert.isRejected(this.plugin.getBalance(), ExternalError, /Unable to determine current balance/)
+      })
+
+      it('reconnects with a new token if the ledger refuses the websocket connection', function * () {
+        nock('http://red.example')
+          .get('/auth_token')
+          .reply(200, {token: 'def'})
+        this.wsRedLedger.stop()
+        const wsRedLedger2 = wsHelper.makeServer('ws://red.example/websocket?token=def')
+
+        const authError = new Promise((resolve) => this.plugin.once('auth_error', resolve))
+        const reconnected = new Promise((resolve) => this.plugin.once('connect', resolve))
+        this.plugin.ws.emit('error', new Error('unexpected server response (401)'))
+        assert.match((yield authError).message, /401/)
+        yield reconnected
+        assert.equal(this.plugin._websocketUri(), 'ws://red.example/websocket?token=def')
+        wsRedLedger2.stop()
+      })
+
+      it('reconnects with the token from the last refresh', function * () {
+        nock('http://red.example')
+          .get('/auth_token')
+          .reply(200, {token: 'def'})
+        yield this.plugin._refreshAuthToken()
+        assert.equal(this.plugin.authToken, 'def')
+        this.wsRedLedger.stop()
+        const wsRedLedger2 = wsHelper.makeServer('ws://red.example/websocket?token=def')
+
+        const authErrors = sinon.spy()
+        this.plugin.on('auth_error', authErrors)
+        const reconnected = new Promise((resolve) => this.plugin.once('connect', resolve))
+        this.plugin.ws.emit('close')
+        yield reconnected
+        assert.equal(this.plugin._websocketUri(), 'ws://red.example/websocket?token=def')
+        sinon.assert.notCalled(authErrors)
+        wsRedLedger2.stop()
+      })
+
+      it('gets a current token before reconnecting', function * () {
+        // the token has expired while the websocket was connected
+        this.plugin.authTokenDate = Date.now() - this.plugin.authTokenMaxAge
+        nock('http://red.example')
+          .get('/auth_token')
+          // takes longer than the delay before the first reconnect attempt
+          .delay(50)
+          .reply(200, {token: 'def'})
+        this.wsRedLedger.stop()
+        const wsRedLedger2 = wsHelper.makeServer('ws://red.example/websocket?token=def')
+
+        const disconnects = sinon.spy()
+        this.plugin.on('disconnect', disconnects)
+        const reconnected = new Promise((resolve) => this.plugin.once('connect', resolve))
+        this.plugin.ws.emit('close')
+        yield reconnected
+        assert.equal(this.plugin.authToken, 'def')
+        // the first attempt already used the new token
+        sinon.assert.calledOnce(disconnects)
+        wsRedLedger2.stop()
+      })
+
+      it('emits auth_error if no new token can be obtained', function * () {
+        nock('http://red.example')
+          .get('/auth_token')
+          .reply(401)
+
+        const authErrors = []
+        this.plugin.on('auth_error', (err) => authErrors.push(err))
+        const gotAuthErrors = new Promise((resolve) => this.plugin.on('auth_error', () => {
+          if (authErrors.length === 2) resolve()
+        }))
+        const reconnected = new Promise((resolve) => this.plugin.once('connect', resolve))
+        this.plugin.ws.emit('error', new Error('unexpected server response (403)'))
+        yield gotAuthErrors
+        assert.match(authErrors[0].message, /403/)
+        assert.match(authErrors[1].message, /Unable to get auth token from ledger/)
+        // keeps trying with the token it has
+        yield reconnected
+      })
+    })
+
+    it('refreshes the token before it expires', function * () {
+      const clock = sinon.useFakeTimers(Date.now(), 'setTimeout', 'clearTimeout', 'Date')
+      // let the clock run while connecting
+      const clockInterval = setInterval(() => clock.tick(1), 1)
+      nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {token: 'abc', token_max_age: 600000})
+      yield this.plugin.connect()
+      clearInterval(clockInterval)
+
+      const refreshed = nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {token: 'def', token_max_age: 600000})
+      // a minute before the token expires
+      clock.tick(this.plugin.authTokenDate + 540000 - Date.now() - 1)
+      assert.isFalse(refreshed.isDone())
+      clock.tick(1)
+      clock.restore()
+      yield new Promise((resolve) => setTimeout(resolve, 20))
+      assert.isTrue(refreshed.isDone())
+      assert.equal(this.plugin.authToken, 'def')
+    })
+
+    it('waits for tokens that live longer than a timer can', function * () {
+      const clock = sinon.useFakeTimers(Date.now(), 'setTimeout', 'clearTimeout', 'Date')
+      const clockInterval = setInterval(() => clock.tick(1), 1)
+      nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {token: 'abc', token_max_age: 60 * 24 * 60 * 60 * 1000})
+      yield this.plugin.connect()
+      clearInterval(clockInterval)
+
+      // well past the longest delay of a single timer
+      clock.tick(0x7fffffff + 1000)
+      clock.restore()
+      yield new Promise((resolve) => setTimeout(resolve, 20))
+      assert.equal(this.plugin.authToken, 'abc')
+      assert.isNotNull(this.plugin.authTokenRefreshTimer)
+    })
+
+    it('does not refresh short-lived tokens in the background', function * () {
+      nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {token: 'abc', token_max_age: 5000})
+      yield this.plugin.connect()
+      assert.isNull(this.plugin.authTokenRefreshTimer)
+    })
+  })
+
+  describe('credential files', function () {
+    beforeEach(function () {
+      this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ilp-plugin-bells-'))
+      fs.writeFileSync(path.join(this.dir, 'cert.pem'), 'cert 1')
+      fs.writeFileSync(path.join(this.dir, 'key.pem'), 'key 1')
+      this.plugin = new PluginBells({
+        prefix: 'example.red.',
+        account: 'http://red.example/accounts/mike',
+        password: 'mike',
+        certPath: path.join(this.dir, 'cert.pem'),
+        keyPath: path.join(this.dir, 'key.pem'),
+        credentialFilesInterval: 10
+      })
+    })
+
+    afterEach(function () {
+      this.plugin.credentialFiles.stop()
+      fs.readdirSync(this.dir).forEach((file) => fs.unlinkSync(path.join(this.dir, file)))
+      fs.rmdirSync(this.dir)
+    })
+
+    it('loads the certificate and key from files', function () {
+      assert.equal(this.plugin.credentials.cert.toString(), 'cert 1')
+      assert.equal(this.plugin.credentials.key.toString(), 'key 1')
+      assert.equal(this.plugin.credentials.password, 'mike')
+    })
+
+    it('reloads the files when they change', function * () {
+      this.plugin.authToken = 'abc'
+      this.plugin.credentialFiles.start()
+      const updated = new Promise((resolve) => {
+        const updateCredentials = this.plugin.updateCredentials
+        this.plugin.updateCredentials = (credentials) => {
+          updateCredentials.call(this.plugin, credentials)
+          resolve()
+        }
+      })
+      // make sure the modification time differs
+      yield new Promise((resolve) => setTimeout(resolve, 20))
+      fs.writeFileSync(path.join(this.dir, 'cert.pem'), 'cert 2')
+      yield updated
+      assert.equal(this.plugin.credentials.cert.toString(), 'cert 2')
+      assert.equal(this.plugin.credentials.key.toString(), 'key 1')
+      assert.isNull(this.plugin.authToken)
+    })
   })
 
   describe('getAccount (not connected)', function () {
@@ -1003,5 +1741,65 @@ describe('Connection methods', function () {
       // A second time does nothing.
       yield assert.isFulfilled(this.plugin.disconnect(), null, 'should be fulfilled with null')
     })
+
+    it('can be called between reconnect attempts', function * () {
+      this.wsRedLedger.emit('close')
+      assert.equal(this.plugin.getConnectionState().state, 'reconnecting')
+      yield this.plugin.disconnect()
+      assert.equal(this.plugin.getConnectionState().state, 'idle')
+    })
+
+    it('rejects pending requests with a DisconnectedError', function * () {
+      nock('http://red.example')
+        .post('/messages')
+        .reply(200)
+      const sent = new Promise((resolve) => this.plugin.once('outgoing_request', resolve))
+      const response = this.plugin.sendRequest({
+        id: '6a13abf0-2333-4d1e-9afc-5bf32c6dc0dd',
+        ledger: 'example.red.',
+        to: 'example.red.alice'
+      })
+      yield sent
+
+      yield this.plugin.disconnect()
+      yield assert.isRejected(response, errors.DisconnectedError, /plugin disconnected/)
+    })
+
+    describe('with drain', function () {
+      beforeEach(function () {
+        nock('http://red.example')
+          .get('/accounts/mike')
+          .delay(50)
+          .reply(200, {balance: '100'})
+      })
+
+      it('waits for ledger calls in progress', function * () {
+        let balance
+        this.plugin.getBalance().then((result) => { balance = result })
+        const disconnected = this.plugin.disconnect({ drain: true })
+
+        yield assert.isRejected(this.plugin.getBalance(), errors.DisconnectedError, /plugin is disconnecting/)
+        yield assert.isRejected(this.plugin.sendRequest({}), errors.DisconnectedError)
+        yield disconnected
+        assert.equal(balance, '10000')
+        assert.isFalse(this.plugin.isConnected())
+      })
+
+      it('refuses to list transfers', function * () {
+        const balance = this.plugin.getBalance()
+        const disconnected = this.plugin.disconnect({ drain: true })
+        assert.throws(() => this.plugin.getTransfers(), errors.DisconnectedError, /plugin is disconnecting/)
+        yield [ balance, disconnected ]
+      })
+
+      it('stops waiting after the timeout', function * () {
+        let balance
+        const request = this.plugin.getBalance().then((result) => { balance = result })
+        yield this.plugin.disconnect({ drain: true, timeout: 10 })
+        assert.isUndefined(balance)
+        assert.isFalse(this.plugin.isConnected())
+        yield request
+      })
+    })
   })
 })
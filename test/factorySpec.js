@@ -11,9 +11,12 @@ const mock = require('mock-require')
 const nock = require('nock')
 const wsHelper = require('./helpers/ws')
 const cloneDeep = require('lodash/cloneDeep')
+const IlpPacket = require('ilp-packet')
+const errors = require('../src/errors')
 
 mock('ws', wsHelper.WebSocket)
 const PluginBellsFactory = require('..').Factory
+const MetricsRegistry = require('..').Metrics
 
 describe('PluginBellsFactory', function () {
   describe('without global subscription', function () {
@@ -119,6 +122,67 @@ describe('PluginBellsFactory', function () {
         yield this.factory.disconnect()
         assert.isFalse(this.factory.isConnected())
       })
+
+      it('drains the admin plugin along with the plugins it created', function * () {
+        nock('http://red.example')
+          .get('/accounts/mike')
+          .reply(200, {
+            ledger: 'http://red.example',
+            name: 'mike'
+          })
+          .get('/accounts/alice/transfers')
+          .delay(50)
+          .reply(200, {
+            transfers: [Object.assign({}, this.fiveBellsTransferAlice, {state: 'executed'})]
+          })
+        yield this.factory.connect()
+        const mike = yield this.factory.create({ username: 'mike' })
+
+        const page = this.factory.getTransfersAs('alice').next()
+        const disconnected = this.factory.disconnect({ drain: true })
+        assert.throws(() => this.factory.getTransfersAs('alice'), errors.DisconnectedError,
+          /factory is disconnecting/)
+        assert.throws(() => mike.getTransfers(), errors.DisconnectedError, /plugin is disconnecting/)
+        yield assert.isRejected(this.factory.fulfillConditionAs('alice', this.transfer.current.id, 'x'),
+          errors.DisconnectedError)
+
+        yield disconnected
+        assert.equal((yield page).value.id, 'ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        assert.isFalse(this.factory.isConnected())
+      })
+    })
+
+    describe('metrics', function () {
+      it('counts the plugins it holds', function * () {
+        const registry = new MetricsRegistry()
+        const factory = new PluginBellsFactory({
+          adminUsername: 'admin',
+          adminPassword: 'admin',
+          adminAccount: 'http://red.example/accounts/admin',
+          prefix: 'example.red.',
+          metrics: registry
+        })
+        nock('http://red.example')
+          .get('/accounts/mike')
+          .matchHeader('authorization', 'Bearer abc')
+          .reply(200, {
+            ledger: 'http://red.example',
+            name: 'admin'
+          })
+
+        yield factory.connect()
+        const plugin = yield factory.create({ username: 'mike' })
+        assert.strictEqual(plugin.metrics.httpRequestDuration,
+          factory.adminPlugin.metrics.httpRequestDuration)
+        assert.include(registry.format(), 'ilp_plugin_bells_factory_plugins 1\n')
+        assert.include(registry.format(),
+          'ilp_plugin_bells_factory_account_plugin{account="example.red.mike"} 1\n')
+
+        yield factory.remove('mike')
+        assert.include(registry.format(), 'ilp_plugin_bells_factory_plugins 0\n')
+        assert.include(registry.format(),
+          'ilp_plugin_bells_factory_account_plugin{account="example.red.mike"} 0\n')
+      })
     })
 
     describe('getAccountAs', function () {
@@ -131,6 +195,39 @@ describe('PluginBellsFactory', function () {
       })
     })
 
+    describe('getTransfersAs', function () {
+      beforeEach(function * () {
+        yield this.factory.connect()
+      })
+
+      it('lists transfers from the perspective of the given user', function * () {
+        nock('http://red.example')
+          .get('/accounts/alice/transfers')
+          .matchHeader('authorization', 'Bearer abc')
+          .reply(200, {
+            transfers: [Object.assign({}, this.fiveBellsTransferAlice, {state: 'executed'})]
+          })
+
+        const iterator = this.factory.getTransfersAs('alice')
+        const first = yield iterator.next()
+        assert.equal(first.value.id, 'ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        assert.equal(first.value.direction, 'incoming')
+        assert.equal(first.value.amount, '1234')
+        assert.isTrue((yield iterator.next()).done)
+      })
+
+      it('throws an Error when not connected', function () {
+        const factory = new PluginBellsFactory({
+          adminUsername: 'admin',
+          adminPassword: 'admin',
+          adminAccount: 'http://red.example/accounts/admin',
+          prefix: 'example.red.'
+        })
+        assert.throws(() => factory.getTransfersAs('alice'),
+          /Must be connected before getTransfersAs can be called/)
+      })
+    })
+
     describe('create', function () {
       beforeEach(function * () {
         yield this.factory.connect()
@@ -165,6 +262,36 @@ describe('PluginBellsFactory', function () {
         assert.isTrue(plugin.isConnected())
       })
 
+      it('passes updated credentials on to its plugins', function * () {
+        nock('http://red.example')
+          .get('/accounts/mike')
+          .matchHeader('authorization', 'Bearer abc')
+          .reply(200, {
+            ledger: 'http://red.example',
+            name: 'admin'
+          })
+        nock('http://red.example')
+          .get('/auth_token')
+          .basicAuth({user: 'admin', pass: 'rotated'})
+          .reply(200, {token: 'abc'})
+
+        const mike = yield this.factory.create({ username: 'mike' })
+        this.factory.updateCredentials({password: 'rotated'})
+        assert.equal(mike.credentials.password, 'rotated')
+        assert.equal(this.factory.adminPlugin.credentials.password, 'rotated')
+
+        // plugins created later use the new credentials, too
+        nock('http://red.example')
+          .get('/accounts/alice')
+          .matchHeader('authorization', 'Bearer abc')
+          .reply(200, {
+            ledger: 'http://red.example',
+            name: 'alice'
+          })
+        const alice = yield this.factory.create({ username: 'alice' })
+        assert.equal(alice.credentials.password, 'rotated')
+      })
+
       it('will not create more than one plugin per account', function * () {
         nock('http://red.example')
           .get('/accounts/mike')
@@ -495,6 +622,114 @@ describe('PluginBellsFactory', function () {
         assert.isTrue(this.factory.isConnected(), 'plugin should say it is connected')
       })
 
+      it('emits an error when the admin plugin gives up reconnecting', function * () {
+        const factory = new PluginBellsFactory({
+          adminUsername: 'admin',
+          adminPassword: 'admin',
+          adminAccount: 'http://red.example/accounts/admin',
+          prefix: 'example.red.',
+          reconnect: { maxAttempts: 2, backoffMin: 1, backoffMax: 2 }
+        })
+        yield factory.connect()
+
+        const gaveUp = new Promise((resolve) => factory.once('error', resolve))
+        this.wsRedLedger.emit('close')
+        this.wsRedLedger.stop()
+        const err = yield gaveUp
+        assert.match(err.message, /gave up reconnecting to ws:\/\/red.example\/websocket after 2 attempts/)
+        assert.equal(factory.getConnectionState().state, 'failed')
+      })
+
+      it('emits "reconnect_failed" without an error listener when the admin plugin gives up', function * () {
+        const factory = new PluginBellsFactory({
+          adminUsername: 'admin',
+          adminPassword: 'admin',
+          adminAccount: 'http://red.example/accounts/admin',
+          prefix: 'example.red.',
+          reconnect: { maxAttempts: 1, backoffMin: 1, backoffMax: 2 }
+        })
+        yield factory.connect()
+
+        const gaveUp = new Promise((resolve) => factory.once('reconnect_failed', resolve))
+        this.wsRedLedger.emit('close')
+        this.wsRedLedger.stop()
+        const err = yield gaveUp
+        assert.match(err.message, /gave up reconnecting to ws:\/\/red.example\/websocket after 1 attempts/)
+        assert.equal(factory.getConnectionState().state, 'failed')
+      })
+
+      it('reports the state of the shared connection', function * () {
+        yield this.factory.connect()
+        nock('http://red.example')
+          .get('/accounts/mary')
+          .matchHeader('authorization', 'Bearer abc')
+          .reply(200, {
+            ledger: 'http://red.example',
+            name: 'mary'
+          })
+        const mary = yield this.factory.create({ username: 'mary' })
+        assert.equal(mary.getConnectionState().state, 'connected')
+
+        const stateChangeSpy = sinon.spy()
+        this.factory.on('state_change', stateChangeSpy)
+        this.wsRedLedger.emit('close')
+        assert.equal(this.factory.getConnectionState().state, 'reconnecting')
+        assert.equal(mary.getConnectionState().state, 'reconnecting')
+        sinon.assert.calledWithMatch(stateChangeSpy, {previous: 'connected', state: 'reconnecting', attempt: 1})
+      })
+
+      it('checks tracked transfers again after reconnecting', function * () {
+        yield this.factory.connect()
+        nock('http://red.example')
+          .get('/accounts/mary')
+          .matchHeader('authorization', 'Bearer abc')
+          .reply(200, {
+            ledger: 'http://red.example',
+            name: 'mary'
+          })
+        const mary = yield this.factory.create({ username: 'mary' })
+        const fiveBellsTransfer = {
+          id: 'http://red.example/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45',
+          ledger: 'http://red.example',
+          debits: [{
+            account: 'http://red.example/accounts/mary',
+            amount: '12.34',
+            authorized: true
+          }],
+          credits: [{
+            account: 'http://red.example/accounts/alice',
+            amount: '12.34'
+          }],
+          execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32',
+          expires_at: (new Date(Date.now() + 60000)).toISOString(),
+          state: 'prepared'
+        }
+        yield mary._handleNotification({
+          event: 'transfer.create',
+          resource: fiveBellsTransfer
+        })
+        assert.equal(mary.expiryWatchdog.watched.size, 1)
+        yield this.factory.disconnect()
+        assert.equal(mary.expiryWatchdog.watched.size, 0)
+
+        nock('http://red.example')
+          .get('/accounts/admin')
+          .reply(200, {
+            ledger: 'http://red.example',
+            name: 'admin'
+          })
+          .get('/')
+          .reply(200, this.infoRedLedger)
+        const checked = nock('http://red.example')
+          .get('/transfers/ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+          .reply(200, fiveBellsTransfer)
+        yield this.factory.connect()
+        while (!checked.isDone()) {
+          yield new Promise((resolve) => setTimeout(resolve, 5))
+        }
+        assert.equal(mary.expiryWatchdog.watched.size, 1)
+      })
+
       it('should resubscribe to the accounts of each plugin if the websocket connection drops', function * () {
         yield this.factory.connect()
 
@@ -803,6 +1038,72 @@ describe('PluginBellsFactory', function () {
 
         yield handled
       })
+
+      it('will attach parsed ILP packets to global notifications with decodeIlp', function * () {
+        this.factory.decodeIlp = true
+        const ilp = IlpPacket.serializeIlpPayment({
+          account: 'example.red.bob',
+          amount: '10',
+          data: Buffer.from('hi')
+        }).toString('base64')
+        const handled = new Promise((resolve, reject) => {
+          this.factory.on('incoming_transfer', (account, transfer) => resolve([account, transfer]))
+        })
+
+        this.fiveBellsTransferMike.credits[0].memo = { ilp }
+        this.wsRedLedger.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id: null,
+          method: 'notify',
+          params: {
+            event: 'transfer.update',
+            resource: this.fiveBellsTransferMike,
+            related_resources: {}
+          }
+        }))
+
+        const args = yield handled
+        assert.equal(args[0], 'mike')
+        assert.deepEqual(args[1].ilpPacket, {
+          type: IlpPacket.Type.TYPE_ILP_PAYMENT,
+          typeString: 'ilp_payment',
+          account: 'example.red.bob',
+          amount: '10',
+          data: 'aGk'
+        })
+      })
+
+      it('will emit "invalid_fulfillment" instead of a global fulfill event with verifyNotifiedFulfillments', function * () {
+        this.factory.verifyNotifiedFulfillments = true
+        const fulfilled = sinon.spy()
+        this.factory.on('incoming_fulfill', fulfilled)
+        const invalidFulfillment = new Promise((resolve, reject) => {
+          this.factory.on('invalid_fulfillment', (account, err, transfer, fulfillment) =>
+            resolve([account, err, transfer, fulfillment]))
+        })
+
+        this.wsRedLedger.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id: null,
+          method: 'notify',
+          params: {
+            event: 'transfer.update',
+            resource: Object.assign(this.fiveBellsTransferMike, {
+              execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32'
+            }),
+            related_resources: {
+              execution_condition_fulfillment: 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ'
+            }
+          }
+        }))
+
+        const args = yield invalidFulfillment
+        assert.equal(args[0], 'mike')
+        assert.equal(args[1].name, 'NotAcceptedError')
+        assert.equal(args[2].id, 'ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        assert.equal(args[3], 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        sinon.assert.notCalled(fulfilled)
+      })
     })
 
     describe('websocket reconnection', function () {
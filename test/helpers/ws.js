@@ -22,6 +22,10 @@ class MockWebSocket extends EventEmitter {
     this.emit('close')
   }
 
+  terminate () {
+    this.emit('close')
+  }
+
   send (msg) {
     process.nextTick(() => {
       this.sock.send(msg)
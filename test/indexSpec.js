@@ -55,6 +55,19 @@ describe('PluginBells constructor', function () {
         })
       }, 'Expected options.prefix to end with "."')
     })
+
+    it('should throw when options.reconnect is invalid', function () {
+      const withReconnect = (reconnect) => () => new PluginBells({
+        prefix: 'foo.',
+        account: 'http://red.example/accounts/mike',
+        password: 'mike',
+        reconnect: reconnect
+      })
+      assert.throws(withReconnect({ maxAttempts: 0 }), TypeError, /reconnect.maxAttempts/)
+      assert.throws(withReconnect({ jitter: 2 }), TypeError, /reconnect.jitter/)
+      assert.throws(withReconnect({ backoffMin: 100, backoffMax: 50 }), TypeError, /reconnect.backoffMax/)
+      assert.throws(withReconnect({ maxOutage: 'forever' }), TypeError, /reconnect.maxOutage/)
+    })
   })
 })
 
@@ -20,6 +20,7 @@ const START_DATE = 1434412800000 // June 16, 2015 00:00:00 GMT
 
 mock('ws', wsHelper.WebSocket)
 const PluginBells = require('..')
+const RetryPolicy = require('../src/lib/retry-policy')
 
 describe('Messaging', function () {
   beforeEach(function * () {
@@ -89,6 +90,22 @@ describe('Messaging', function () {
       })
     })
 
+    it('retries submitting the message if configured to', function * () {
+      this.plugin.retryPolicy = new RetryPolicy({ maxAttempts: 2, backoffMin: 1 })
+      nock('http://red.example')
+        .post('/messages', this.ledgerMessage)
+        .reply(503)
+        .post('/messages', this.ledgerMessage)
+        .reply(200)
+
+      setTimeout(() => {
+        this.plugin.emit('incoming_message', {custom: {response: true}}, this.message.id)
+      }, 10)
+      yield assert.eventually.deepEqual(this.plugin.sendRequest(this.message), {
+        custom: {response: true}
+      })
+    })
+
     it('ignores a message with the wrong id', function * () {
       nock('http://red.example')
         .post('/messages', this.ledgerMessage)
@@ -244,6 +261,154 @@ describe('Messaging', function () {
       this.plugin.sendRequest(Object.assign({timeout: 10}, this.message))
         .should.be.rejectedWith(Error, 'sendRequest timed out').notify(done)
     })
+
+    describe('with a cancellation signal', function () {
+      beforeEach(function () {
+        this.controller = new PluginBells.AbortController()
+      })
+
+      it('rejects with a RequestCancelledError when cancelled', function * () {
+        nock('http://red.example')
+          .post('/messages', this.ledgerMessage)
+          .reply(200)
+
+        const response = this.plugin.sendRequest(this.message, { signal: this.controller.signal })
+        setTimeout(() => this.controller.abort(), 10)
+        yield assert.isRejected(response, errors.RequestCancelledError,
+          'request 6a13abf0-2333-4d1e-9afc-5bf32c6dc0dd was cancelled')
+        assert.deepEqual(this.plugin.pendingRequests, {})
+      })
+
+      it('doesn\'t send a request that is already cancelled', function * () {
+        this.controller.abort()
+        yield assert.isRejected(this.plugin.sendRequest(this.message, { signal: this.controller.signal }),
+          errors.RequestCancelledError)
+      })
+
+      it('notifies the recipient if notifyPeer is set', function * () {
+        const cancelMessage = cloneDeep(this.ledgerMessage)
+        cancelMessage.data = {
+          id: this.message.id,
+          custom: { cancelRequest: true }
+        }
+        const notified = new Promise((resolve) => {
+          nock('http://red.example')
+            .post('/messages', this.ledgerMessage)
+            .reply(200)
+            .post('/messages', cancelMessage)
+            .reply(200, () => { resolve() })
+        })
+
+        const response = this.plugin.sendRequest(this.message, {
+          signal: this.controller.signal,
+          notifyPeer: true
+        })
+        setTimeout(() => this.controller.abort(), 10)
+        yield assert.isRejected(response, errors.RequestCancelledError)
+        yield notified
+      })
+
+      it('doesn\'t throw from abort() if the recipient can\'t be notified', function * () {
+        nock('http://red.example')
+          .post('/messages', this.ledgerMessage)
+          .reply(200)
+
+        const response = this.plugin.sendRequest(this.message, {
+          signal: this.controller.signal,
+          notifyPeer: true
+        })
+        yield new Promise((resolve) => setTimeout(resolve, 10))
+        // sending the cancel message fails right away
+        this.plugin.ready = false
+        try {
+          assert.doesNotThrow(() => this.controller.abort())
+          yield assert.isRejected(response, errors.RequestCancelledError)
+          yield new Promise((resolve) => setImmediate(resolve))
+        } finally {
+          this.plugin.ready = true
+        }
+      })
+
+      it('stops listening for the signal once there is a response', function * () {
+        nock('http://red.example')
+          .post('/messages', this.ledgerMessage)
+          .reply(200)
+
+        setTimeout(() => {
+          this.plugin.emit('incoming_message', {custom: {response: true}}, this.message.id)
+        }, 10)
+        yield this.plugin.sendRequest(this.message, { signal: this.controller.signal })
+        assert.equal(this.controller.signal.listenerCount('abort'), 0)
+      })
+    })
+  })
+
+  describe('sendRequestStream', function () {
+    beforeEach(function () {
+      this.ledgerMessage.data.custom.streamRequest = true
+      this.part = (seq, custom) => ({
+        ledger: this.message.ledger,
+        from: 'example.red.alice',
+        to: 'example.red.mike',
+        custom: Object.assign({ streamPart: seq }, custom)
+      })
+    })
+
+    it('returns the responses in order', function * () {
+      nock('http://red.example')
+        .post('/messages', this.ledgerMessage)
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(200)
+
+      const stream = this.plugin.sendRequestStream(this.message)
+      const responses = readAll(stream)
+      yield new Promise((resolve) => setTimeout(resolve, 10))
+      this.plugin.emit('incoming_message', this.part({ seq: 1 }, { n: 1 }), this.message.id)
+      this.plugin.emit('incoming_message', this.part({ seq: 2, end: true }), this.message.id)
+      this.plugin.emit('incoming_message', this.part({ seq: 0 }, { n: 0 }), this.message.id)
+
+      assert.deepEqual((yield responses).map((response) => response.custom), [ { n: 0 }, { n: 1 } ])
+      assert.deepEqual(this.plugin.pendingRequests, {})
+    })
+
+    it('ends after a regular response', function * () {
+      nock('http://red.example')
+        .post('/messages', this.ledgerMessage)
+        .reply(200)
+
+      const responses = readAll(this.plugin.sendRequestStream(this.message))
+      setTimeout(() => {
+        this.plugin.emit('incoming_message', {custom: {response: true}}, this.message.id)
+      }, 10)
+      assert.deepEqual(yield responses, [ {custom: {response: true}} ])
+    })
+
+    it('emits an error if the next response doesn\'t arrive in time', function * () {
+      nock('http://red.example')
+        .post('/messages', this.ledgerMessage)
+        .reply(200)
+
+      const stream = this.plugin.sendRequestStream(Object.assign({timeout: 20}, this.message))
+      const responses = readAll(stream)
+      setTimeout(() => {
+        this.plugin.emit('incoming_message', this.part({ seq: 0 }), this.message.id)
+      }, 10)
+      yield assert.isRejected(responses, Error, 'sendRequestStream timed out')
+      assert.deepEqual(this.plugin.pendingRequests, {})
+    })
+
+    it('emits a RequestCancelledError when cancelled', function * () {
+      nock('http://red.example')
+        .post('/messages', this.ledgerMessage)
+        .reply(200)
+
+      const controller = new PluginBells.AbortController()
+      const responses = readAll(this.plugin.sendRequestStream(this.message, { signal: controller.signal }))
+      setTimeout(() => controller.abort(), 10)
+      yield assert.isRejected(responses, errors.RequestCancelledError)
+      assert.deepEqual(this.plugin.pendingRequests, {})
+      assert.equal(controller.signal.listenerCount('abort'), 0)
+    })
   })
 
   describe('registerRequestHandler', function () {
@@ -278,6 +443,35 @@ describe('Messaging', function () {
       yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
     })
 
+    it('aborts the handler\'s signal if the sender cancels the request', function * () {
+      const outgoingResponse = sinon.spy()
+      this.plugin.on('outgoing_response', outgoingResponse)
+      let signal
+      const handlerCalled = new Promise((resolve) => {
+        this.plugin.registerRequestHandler((requestMessage, options) => {
+          signal = options.signal
+          resolve()
+          return new Promise((resolve) => {
+            signal.addEventListener('abort', () => resolve(this.message))
+          })
+        })
+      })
+
+      const handled = this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+      yield handlerCalled
+      yield this.plugin.emitAsync('incoming_message', {
+        ledger: this.message.ledger,
+        from: 'example.red.alice',
+        to: 'example.red.mike',
+        custom: {cancelRequest: true}
+      }, this.message.id)
+      yield handled
+
+      assert.isTrue(signal.aborted)
+      sinon.assert.notCalled(outgoingResponse)
+      assert.equal(this.plugin.incomingRequests.size, 0)
+    })
+
     it('relays error messages to the ledger', function * () {
       nock('http://red.example')
         .post('/messages', (message) => {
@@ -305,6 +499,27 @@ describe('Messaging', function () {
       yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
     })
 
+    it('relays the code of an IlpError thrown by the handler', function * () {
+      nock('http://red.example')
+        .post('/messages', (message) => {
+          assert.deepEqual(IlpPacket.deserializeIlpError(Buffer.from(message.data.ilp, 'base64')), {
+            code: 'F02',
+            name: 'Unreachable',
+            triggeredBy: 'example.red.mike',
+            forwardedBy: [],
+            triggeredAt: new Date(),
+            data: JSON.stringify({message: 'no route to example.blue.'})
+          })
+          return true
+        })
+        .reply(200)
+
+      this.plugin.registerRequestHandler(() => {
+        return Promise.reject(PluginBells.IlpError.unreachable('no route to example.blue.'))
+      })
+      yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+    })
+
     it('relays an error message to the ledger if no response is returned', function * () {
       nock('http://red.example')
         .post('/messages', (message) => {
@@ -329,6 +544,180 @@ describe('Messaging', function () {
     })
   })
 
+  describe('registerRequestHandler with a streaming request', function () {
+    beforeEach(function () {
+      this.requestMessage = {
+        ledger: this.message.ledger,
+        from: 'example.red.alice',
+        to: 'example.red.mike',
+        custom: {request: true, streamRequest: true}
+      }
+      this.sent = []
+      nock('http://red.example')
+        .post('/messages').times(3)
+        .reply(200, (uri, body) => { this.sent.push(body.data) })
+    })
+
+    it('sends each response the handler returns, then an end marker', function * () {
+      this.plugin.registerRequestHandler((requestMessage, options) => {
+        assert.deepEqual(requestMessage.custom, {request: true})
+        assert.isTrue(options.stream)
+        return Promise.resolve([ 0, 1 ].map((n) => ({
+          ledger: this.message.ledger,
+          to: 'example.red.alice',
+          custom: { n }
+        })))
+      })
+      yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+
+      assert.deepEqual(this.sent, [
+        { id: this.message.id, custom: { n: 0, streamPart: { seq: 0 } } },
+        { id: this.message.id, custom: { n: 1, streamPart: { seq: 1 } } },
+        { id: this.message.id, custom: { streamPart: { seq: 2, end: true } } }
+      ])
+    })
+
+    it('accepts an async iterable', function * () {
+      const responses = [ 0, 1 ].map((n) => ({
+        ledger: this.message.ledger,
+        to: 'example.red.alice',
+        custom: { n }
+      }))
+      // built by hand, since older Node versions have neither the symbol nor
+      // async generators
+      this.plugin.registerRequestHandler(() => Promise.resolve({
+        [Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')] () {
+          return {
+            next: () => Promise.resolve(responses.length
+              ? { done: false, value: responses.shift() }
+              : { done: true })
+          }
+        }
+      }))
+      yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+
+      assert.deepEqual(this.sent.map((data) => data.custom.streamPart), [
+        { seq: 0 }, { seq: 1 }, { seq: 2, end: true }
+      ])
+    })
+
+    it('ends the stream with an error response if the handler fails', function * () {
+      const response = {
+        ledger: this.message.ledger,
+        to: 'example.red.alice',
+        custom: { n: 0 }
+      }
+      this.plugin.registerRequestHandler(() => Promise.resolve({
+        [Symbol.iterator] () {
+          let done = false
+          return {
+            next: () => {
+              if (done) throw new Error('fail')
+              done = true
+              return { done: false, value: response }
+            }
+          }
+        }
+      }))
+      yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+
+      assert.deepEqual(this.sent[1].custom, { streamPart: { seq: 1 } })
+      assert.equal(IlpPacket.deserializeIlpError(Buffer.from(this.sent[1].ilp, 'base64')).data,
+        JSON.stringify({message: 'fail'}))
+      assert.deepEqual(this.sent[2].custom, { streamPart: { seq: 2, end: true } })
+    })
+  })
+
+  describe('routing requests', function () {
+    beforeEach(function () {
+      this.requestMessage = {
+        ledger: this.message.ledger,
+        from: 'example.red.alice',
+        to: 'example.red.mike',
+        ilp: IlpPacket.serializeIlqpLiquidityRequest({
+          destinationAccount: 'example.red.bob',
+          destinationHoldDuration: 3000
+        }).toString('base64'),
+        custom: {request: true}
+      }
+      this.response = (custom) => ({
+        ledger: this.message.ledger,
+        to: 'example.red.alice',
+        custom
+      })
+      this.sent = new Promise((resolve) => {
+        nock('http://red.example')
+          .post('/messages')
+          .reply(200, (uri, body) => { resolve(body.data) })
+      })
+    })
+
+    it('routes requests by ILP packet type', function * () {
+      const fallback = sinon.spy()
+      this.plugin.registerRequestHandler(fallback)
+      this.plugin
+        .route(IlpPacket.Type.TYPE_ILP_PAYMENT, () => this.response({ handler: 'payment' }))
+        .route('TYPE_ILQP_LIQUIDITY_REQUEST', () => this.response({ handler: 'liquidity' }))
+      yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+
+      assert.deepEqual((yield this.sent).custom, { handler: 'liquidity' })
+      sinon.assert.notCalled(fallback)
+    })
+
+    it('routes requests by predicate', function * () {
+      this.plugin
+        .route((message) => message.custom.other, () => this.response({ handler: 'other' }))
+        .route((message) => message.custom.request, () => this.response({ handler: 'request' }))
+      yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+
+      assert.deepEqual((yield this.sent).custom, { handler: 'request' })
+    })
+
+    it('passes requests through the middleware first', function * () {
+      const calls = []
+      this.plugin.use((message, options, next) => {
+        calls.push('first')
+        return next().then((response) => this.response(Object.assign({ wrapped: true }, response.custom)))
+      })
+      this.plugin.use((message, options, next) => {
+        calls.push('second')
+        assert.isFalse(options.signal.aborted)
+        return next()
+      })
+      this.plugin.route(() => true, () => {
+        calls.push('route')
+        return this.response({ handler: 'route' })
+      })
+      yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+
+      assert.deepEqual((yield this.sent).custom, { wrapped: true, handler: 'route' })
+      assert.deepEqual(calls, [ 'first', 'second', 'route' ])
+    })
+
+    it('falls back to the request handler', function * () {
+      this.plugin.route(IlpPacket.Type.TYPE_ILP_PAYMENT, () => this.response({ handler: 'payment' }))
+      this.plugin.registerRequestHandler(() => Promise.resolve(this.response({ handler: 'fallback' })))
+      yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+
+      assert.deepEqual((yield this.sent).custom, { handler: 'fallback' })
+    })
+
+    it('relays an error message if no route matches', function * () {
+      this.plugin.route(IlpPacket.Type.TYPE_ILP_PAYMENT, () => this.response({ handler: 'payment' }))
+      yield this.plugin.emitAsync('incoming_message', this.requestMessage, this.message.id)
+
+      const error = IlpPacket.deserializeIlpError(Buffer.from((yield this.sent).ilp, 'base64'))
+      assert.equal(error.code, 'F00')
+      assert.equal(error.data, JSON.stringify({message: 'No matching handler for request'}))
+    })
+
+    it('rejects an unknown packet type', function () {
+      nock.cleanAll()
+      assert.throws(() => this.plugin.route('TYPE_FOO', () => {}), TypeError,
+        'Expected an ILP packet type or a function, received: TYPE_FOO')
+    })
+  })
+
   describe('deregisterRequestHandler', function () {
     it('allows the request handler to be reset', function () {
       this.plugin.registerRequestHandler(() => {})
@@ -372,3 +761,12 @@ describe('Messaging', function () {
     })
   })
 })
+
+function readAll (stream) {
+  return new Promise((resolve, reject) => {
+    const messages = []
+    stream.on('data', (message) => messages.push(message))
+    stream.on('end', () => resolve(messages))
+    stream.on('error', reject)
+  })
+}
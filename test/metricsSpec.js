@@ -0,0 +1,160 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const assert = chai.assert
+
+const mock = require('mock-require')
+const nock = require('nock')
+const wsHelper = require('./helpers/ws')
+const cloneDeep = require('lodash/cloneDeep')
+
+mock('ws', wsHelper.WebSocket)
+const PluginBells = require('..')
+const MetricsRegistry = PluginBells.Metrics
+
+describe('Metrics', function () {
+  describe('MetricsRegistry', function () {
+    beforeEach(function () {
+      this.registry = new MetricsRegistry()
+    })
+
+    it('formats counters and gauges', function () {
+      const counter = this.registry.counter('requests_total', 'Number of requests')
+      counter.inc({method: 'GET'})
+      counter.inc({method: 'GET'}, 2)
+      const gauge = this.registry.gauge('pending', 'Pending "things"')
+      gauge.inc()
+      gauge.inc()
+      gauge.dec()
+
+      assert.equal(this.registry.format(),
+        '# HELP requests_total Number of requests\n' +
+        '# TYPE requests_total counter\n' +
+        'requests_total{method="GET"} 3\n' +
+        '# HELP pending Pending "things"\n' +
+        '# TYPE pending gauge\n' +
+        'pending 1\n')
+    })
+
+    it('formats histograms with cumulative buckets', function () {
+      const histogram = this.registry.histogram('duration_seconds', 'Duration', [ 0.1, 1 ])
+      histogram.observe({endpoint: 'transfer'}, 0.05)
+      histogram.observe({endpoint: 'transfer'}, 0.5)
+      histogram.observe({endpoint: 'transfer'}, 2)
+
+      assert.equal(this.registry.format(),
+        '# HELP duration_seconds Duration\n' +
+        '# TYPE duration_seconds histogram\n' +
+        'duration_seconds_bucket{endpoint="transfer",le="0.1"} 1\n' +
+        'duration_seconds_bucket{endpoint="transfer",le="1"} 2\n' +
+        'duration_seconds_bucket{endpoint="transfer",le="+Inf"} 3\n' +
+        'duration_seconds_sum{endpoint="transfer"} 2.55\n' +
+        'duration_seconds_count{endpoint="transfer"} 3\n')
+    })
+
+    it('escapes label values', function () {
+      this.registry.counter('errors_total', 'Errors').inc({message: 'a "b"\\c\n'})
+      assert.include(this.registry.format(), 'errors_total{message="a \\"b\\"\\\\c\\n"} 1\n')
+    })
+
+    it('returns the same instrument for the same name', function () {
+      assert.strictEqual(this.registry.counter('a', 'A'), this.registry.counter('a', 'A'))
+    })
+  })
+
+  describe('plugin instrumentation', function () {
+    beforeEach(function * () {
+      this.registry = new MetricsRegistry()
+      this.plugin = new PluginBells({
+        prefix: 'example.red.',
+        account: 'http://red.example/accounts/mike',
+        password: 'mike',
+        metrics: this.registry
+      })
+
+      nock('http://red.example')
+        .get('/auth_token')
+        .reply(200, {token: 'abc'})
+
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .reply(200, {
+          ledger: 'http://red.example',
+          name: 'mike'
+        })
+        .get('/transfers/1')
+        .reply(403)
+
+      nock('http://red.example')
+        .get('/')
+        .reply(200, cloneDeep(require('./data/infoRedLedger.json')))
+
+      this.wsRedLedger = wsHelper.makeServer('ws://red.example/websocket?token=abc')
+
+      yield this.plugin.connect()
+    })
+
+    afterEach(function * () {
+      this.wsRedLedger.stop()
+      assert(nock.isDone(), 'nocks should all have been called')
+    })
+
+    it('records HTTP request latency by endpoint', function * () {
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .reply(200, {balance: '100.01'})
+      yield this.plugin.getBalance()
+
+      const histogram = this.registry.histogram('ilp_plugin_bells_http_request_duration_seconds')
+      const series = histogram.values.get('{endpoint="account",method="GET",status="200"}')
+      assert.equal(series.count, 1)
+    })
+
+    it('records notification processing time by event', function * () {
+      const transfer = cloneDeep(require('./data/transfer.json'))
+      transfer.state = 'executed'
+      yield this.plugin._handleNotification({
+        event: 'transfer.update',
+        resource: transfer
+      })
+
+      assert.include(this.registry.format(),
+        'ilp_plugin_bells_notification_duration_seconds_count{event="transfer.update"} 1\n')
+    })
+
+    it('counts pending requests', function * () {
+      nock('http://red.example')
+        .post('/messages')
+        .reply(200)
+
+      const response = this.plugin.sendRequest({
+        id: '6a13abf0-2333-4d1e-9afc-5bf32c6dc0dd',
+        ledger: 'example.red.',
+        to: 'example.red.alice',
+        custom: {foo: 'bar'}
+      })
+      const gauge = this.registry.gauge('ilp_plugin_bells_pending_requests')
+      assert.equal(gauge.values.get(''), 1)
+
+      this.plugin.emit('incoming_message', {custom: {}}, '6a13abf0-2333-4d1e-9afc-5bf32c6dc0dd')
+      yield response
+      assert.equal(gauge.values.get(''), 0)
+    })
+
+    it('stops counting a request that could not be sent', function * () {
+      yield assert.isRejected(this.plugin.sendRequest({
+        id: '6a13abf0-2333-4d1e-9afc-5bf32c6dc0dd',
+        ledger: 'example.blue.',
+        to: 'example.red.alice',
+        custom: {foo: 'bar'}
+      }), /invalid ledger/)
+      const gauge = this.registry.gauge('ilp_plugin_bells_pending_requests')
+      assert.equal(gauge.values.get(''), 0)
+      assert.deepEqual(this.plugin.pendingRequests, {})
+    })
+  })
+})
@@ -11,7 +11,10 @@ const mock = require('mock-require')
 const nock = require('nock')
 const sinon = require('sinon')
 const wsHelper = require('./helpers/ws')
+const errors = require('../src/errors')
 const cloneDeep = require('lodash/cloneDeep')
+const co = require('co')
+const IlpPacket = require('ilp-packet')
 
 mock('ws', wsHelper.WebSocket)
 const PluginBells = require('..')
@@ -341,6 +344,65 @@ describe('Notification handling', function () {
     it('should emit "incoming_cancel" on incoming rejected transfers',
       itEmitsFulfillCancellationCondition)
 
+    describe('with verifyNotifiedFulfillments', function () {
+      beforeEach(function () {
+        this.plugin.verifyNotifiedFulfillments = true
+      })
+
+      it('should emit "incoming_fulfill" with a matching fulfillment',
+        itEmitsFulfillExecutionCondition)
+
+      it('should drop a notification with a fulfillment that doesn\'t match', function * () {
+        const reply = new Promise((resolve) => this.wsRedLedger.on('message', resolve))
+        this.wsRedLedger.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id: null,
+          method: 'notify',
+          params: {
+            event: 'transfer.update',
+            resource: Object.assign(this.fiveBellsTransferExecuted, {
+              execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32'
+            }),
+            related_resources: {
+              execution_condition_fulfillment: 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ'
+            }
+          }
+        }))
+
+        assert.deepEqual(JSON.parse(yield reply), {
+          result: 'ignored',
+          ignoreReason: {
+            id: 'NotAcceptedError',
+            message: 'Fulfillment does not match the condition of transfer ac518dfb-b8a6-49ef-b78d-5e26e81d7a45'
+          }
+        })
+        sinon.assert.notCalled(this.stubFulfillExecutionCondition)
+      })
+
+      it('should emit "invalid_fulfillment" and keep the transfer in flight', function * () {
+        this.plugin.transferTracker.observe(this.plugin.account, Object.assign({}, this.fiveBellsTransferExecuted, {
+          state: 'prepared'
+        }))
+        const invalidFulfillment = new Promise((resolve) => this.plugin.once('invalid_fulfillment',
+          (err, transfer, fulfillment) => resolve([err, transfer, fulfillment])))
+        yield assert.isRejected(co(this.plugin._handleNotification({
+          event: 'transfer.update',
+          resource: Object.assign(this.fiveBellsTransferExecuted, {
+            execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32'
+          }),
+          related_resources: {
+            execution_condition_fulfillment: 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ'
+          }
+        })), errors.NotAcceptedError)
+
+        const args = yield invalidFulfillment
+        assert.instanceOf(args[0], errors.NotAcceptedError)
+        assert.equal(args[1].id, 'ac518dfb-b8a6-49ef-b78d-5e26e81d7a45')
+        assert.equal(args[2], 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        assert.equal(this.plugin.transferTracker.get('ac518dfb-b8a6-49ef-b78d-5e26e81d7a45').state, 'prepared')
+      })
+    })
+
     it('should emit "incoming_reject" with the rejection_message', function * () {
       const rejectionMessage = {
         code: 'T00',
@@ -434,7 +496,40 @@ describe('Notification handling', function () {
 
       yield new Promise((resolve) => this.wsRedLedger.on('message', resolve))
       sinon.assert.calledOnce(this.stubExecute)
-      sinon.assert.calledWith(this.stubExecute, this.transfer)
+      sinon.assert.calledWith(this.stubExecute, Object.assign({}, this.transfer, {
+        debits: [{account: 'example.red.alice', amount: '1000'}],
+        credits: [
+          {account: 'example.red.mike', amount: '1000'},
+          {account: 'example.red.george', amount: '1000'}
+        ]
+      }))
+    })
+
+    it('should sum multiple credits to the same account', function * () {
+      this.fiveBellsTransferExecuted.debits[0].amount = '15'
+      this.fiveBellsTransferExecuted.credits.push({
+        account: 'http://red.example/accounts/mike',
+        amount: '5',
+        memo: {ilp: 'ABAB'}
+      })
+      this.wsRedLedger.send(JSON.stringify({
+        jsonrpc: '2.0',
+        id: null,
+        method: 'notify',
+        params: {
+          event: 'transfer.update',
+          resource: this.fiveBellsTransferExecuted
+        }
+      }))
+
+      yield new Promise((resolve) => this.wsRedLedger.on('message', resolve))
+      sinon.assert.calledOnce(this.stubExecute)
+      const transfer = this.stubExecute.firstCall.args[0]
+      assert.equal(transfer.amount, '1500')
+      assert.deepEqual(transfer.credits, [
+        {account: 'example.red.mike', amount: '1000'},
+        {account: 'example.red.mike', amount: '500', ilp: 'ABAB', memo: {ilp: 'ABAB'}}
+      ])
     })
   })
 
@@ -480,6 +575,35 @@ describe('Notification handling', function () {
     it('should emit "outgoing_cancel" on outgoing rejected transfers',
       itEmitsFulfillCancellationCondition)
 
+    it('should report the debited amount and every leg of a multi-credit transfer', function * () {
+      this.fiveBellsTransferExecuted.debits[0].amount = '15'
+      this.fiveBellsTransferExecuted.credits.push({
+        account: 'http://red.example/accounts/bob',
+        amount: '5',
+        memo: {ilp: 'ABAB', note: 'payout'}
+      })
+      this.wsRedLedger.send(JSON.stringify({
+        jsonrpc: '2.0',
+        id: null,
+        method: 'notify',
+        params: {
+          event: 'transfer.update',
+          resource: this.fiveBellsTransferExecuted
+        }
+      }))
+
+      yield new Promise((resolve) => this.wsRedLedger.on('message', resolve))
+      sinon.assert.calledOnce(this.stubOutgoingExecute)
+      sinon.assert.calledWith(this.stubOutgoingExecute, Object.assign({}, this.transfer, {
+        amount: '1500',
+        debits: [{account: 'example.red.mike', amount: '1500'}],
+        credits: [
+          {account: 'example.red.alice', amount: '1000'},
+          {account: 'example.red.bob', amount: '500', ilp: 'ABAB', memo: {ilp: 'ABAB', note: 'payout'}}
+        ]
+      }))
+    })
+
     it('should emit outgoing_cancel with the rejection_message', function * () {
       const rejectionMessage = {
         code: 'T00',
@@ -591,6 +715,64 @@ describe('Notification handling', function () {
     })
   })
 
+  describe('with decodeIlp', function () {
+    beforeEach(function () {
+      this.plugin.decodeIlp = true
+      this.ilp = IlpPacket.serializeIlpPayment({
+        account: 'example.red.bob',
+        amount: '10',
+        data: Buffer.from('hi')
+      }).toString('base64')
+      this.ilpPacket = {
+        type: IlpPacket.Type.TYPE_ILP_PAYMENT,
+        typeString: 'ilp_payment',
+        account: 'example.red.bob',
+        amount: '10',
+        data: 'aGk'
+      }
+      this.notify = (event, resource) => {
+        this.wsRedLedger.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id: null,
+          method: 'notify',
+          params: { event, resource }
+        }))
+        return new Promise((resolve) => this.wsRedLedger.on('message', resolve))
+      }
+    })
+
+    it('attaches the parsed packet to transfers', function * () {
+      this.fiveBellsTransferMike.state = 'prepared'
+      this.fiveBellsTransferMike.credits[0].memo = { ilp: this.ilp }
+      yield this.notify('transfer.update', this.fiveBellsTransferMike)
+
+      sinon.assert.calledOnce(this.stubReceive)
+      const transfer = this.stubReceive.firstCall.args[0]
+      assert.equal(transfer.ilp, this.ilp)
+      assert.deepEqual(transfer.ilpPacket, this.ilpPacket)
+    })
+
+    it('attaches the parsed packet to messages', function * () {
+      this.fiveBellsMessage.data.ilp = this.ilp
+      yield this.notify('message.send', this.fiveBellsMessage)
+
+      sinon.assert.calledOnce(this.stubIncomingRequest)
+      assert.deepEqual(this.stubIncomingRequest.firstCall.args[0],
+        Object.assign(this.message, { ilp: this.ilp, ilpPacket: this.ilpPacket }))
+    })
+
+    it('emits "malformed_ilp" for a packet that can\'t be parsed', function * () {
+      const malformed = sinon.spy()
+      this.plugin.on('malformed_ilp', malformed)
+      yield this.notify('message.send', this.fiveBellsMessage)
+
+      sinon.assert.calledOnce(malformed)
+      assert.equal(malformed.firstCall.args[0].message, 'Packet has invalid type')
+      assert.deepEqual(malformed.firstCall.args[1], this.message)
+      sinon.assert.calledWith(this.stubIncomingRequest, this.message)
+    })
+  })
+
   describe('notification of "connect"', function () {
     it('accepts the notification', function (done) {
       this.wsRedLedger.on('message', function (message) {
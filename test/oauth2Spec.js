@@ -0,0 +1,151 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const assert = chai.assert
+
+const mock = require('mock-require')
+const nock = require('nock')
+const wsHelper = require('./helpers/ws')
+const cloneDeep = require('lodash/cloneDeep')
+const ExternalError = require('../src/errors/external-error')
+const OAuth2Client = require('../src/lib/oauth2-client')
+
+mock('ws', wsHelper.WebSocket)
+const PluginBells = require('..')
+
+describe('OAuth2 authentication', function () {
+  beforeEach(function () {
+    this.infoRedLedger = cloneDeep(require('./data/infoRedLedger.json'))
+  })
+
+  afterEach(function () {
+    assert(nock.isDone(), 'nocks should all have been called. Pending mocks are: ' +
+      nock.pendingMocks())
+  })
+
+  describe('plugin', function () {
+    beforeEach(function () {
+      this.plugin = new PluginBells({
+        prefix: 'example.red.',
+        account: 'http://red.example/accounts/mike',
+        oauth2: {
+          tokenUrl: 'http://auth.example/oauth/token',
+          clientId: 'connector',
+          clientSecret: 'secret',
+          scope: 'ledger'
+        }
+      })
+      this.wsRedLedger = wsHelper.makeServer('ws://red.example/websocket?token=access1')
+    })
+
+    afterEach(function * () {
+      yield this.plugin.disconnect()
+      this.wsRedLedger.stop()
+    })
+
+    it('uses access tokens from the token endpoint for HTTP and websocket requests', function * () {
+      nock('http://auth.example')
+        .post('/oauth/token', {grant_type: 'client_credentials', scope: 'ledger'})
+        .basicAuth({user: 'connector', pass: 'secret'})
+        .reply(200, {access_token: 'access1', token_type: 'bearer', expires_in: 3600})
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .matchHeader('authorization', 'Bearer access1')
+        .reply(200, {
+          ledger: 'http://red.example',
+          name: 'mike'
+        })
+        .get('/')
+        .matchHeader('authorization', 'Bearer access1')
+        .reply(200, this.infoRedLedger)
+
+      yield this.plugin.connect()
+      assert.equal(this.plugin.supportedAuth, 'oauth2')
+
+      nock('http://red.example')
+        .get('/accounts/mike')
+        .matchHeader('authorization', 'Bearer access1')
+        .reply(200, {balance: '1'})
+      assert.equal(yield this.plugin.getBalance(), '100')
+    })
+
+    it('fails to connect if no access token can be obtained', function * () {
+      nock('http://auth.example')
+        .post('/oauth/token')
+        .reply(401, {error: 'invalid_client'})
+
+      yield assert.isRejected(this.plugin.connect(), ExternalError,
+        /Unable to get access token from http:\/\/auth.example\/oauth\/token: status=401 error=invalid_client/)
+    })
+
+    it('requires the oauth2 options for supportedAuth "oauth2"', function * () {
+      const plugin = new PluginBells({
+        prefix: 'example.red.',
+        account: 'http://red.example/accounts/mike',
+        supportedAuth: 'oauth2'
+      })
+      yield assert.isRejected(plugin.connect(), /Expected options.oauth2 to be set/)
+    })
+  })
+
+  describe('OAuth2Client', function () {
+    it('refreshes the access token before it expires', function * () {
+      const client = new OAuth2Client({
+        tokenUrl: 'http://auth.example/oauth/token',
+        clientId: 'connector',
+        refreshToken: 'refresh1',
+        refreshMargin: 1000
+      })
+      nock('http://auth.example')
+        .post('/oauth/token', {grant_type: 'refresh_token', refresh_token: 'refresh1', client_id: 'connector'})
+        .reply(200, {access_token: 'access1', refresh_token: 'refresh2', expires_in: 1})
+        .post('/oauth/token', {grant_type: 'refresh_token', refresh_token: 'refresh2', client_id: 'connector'})
+        .reply(200, {access_token: 'access2', expires_in: 3600})
+
+      assert.equal(yield client.getAccessToken(), 'access1')
+      // within the refresh margin of the first token's expiry
+      assert.equal(yield client.getAccessToken(), 'access2')
+      assert.equal(yield client.getAccessToken(), 'access2')
+    })
+
+    it('shares a token request between concurrent callers', function * () {
+      const client = new OAuth2Client({
+        tokenUrl: 'http://auth.example/oauth/token',
+        clientId: 'connector',
+        clientSecret: 'secret'
+      })
+      nock('http://auth.example')
+        .post('/oauth/token')
+        .reply(200, {access_token: 'access1', expires_in: 3600})
+
+      assert.deepEqual(yield [ client.getAccessToken(), client.getAccessToken() ],
+        [ 'access1', 'access1' ])
+    })
+
+    it('requests a new token after being invalidated', function * () {
+      const client = new OAuth2Client({
+        tokenUrl: 'http://auth.example/oauth/token',
+        clientId: 'connector',
+        clientSecret: 'secret'
+      })
+      nock('http://auth.example')
+        .post('/oauth/token')
+        .reply(200, {access_token: 'access1'})
+        .post('/oauth/token')
+        .reply(200, {access_token: 'access2'})
+
+      assert.equal(yield client.getAccessToken(), 'access1')
+      client.invalidate()
+      assert.equal(yield client.getAccessToken(), 'access2')
+    })
+
+    it('validates its options', function () {
+      assert.throws(() => new OAuth2Client({clientId: 'connector'}), TypeError, /tokenUrl/)
+      assert.throws(() => new OAuth2Client({tokenUrl: 'http://auth.example/oauth/token'}), TypeError, /clientId/)
+    })
+  })
+})
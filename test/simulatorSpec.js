@@ -0,0 +1,252 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const assert = chai.assert
+
+const crypto = require('crypto')
+const http = require('http')
+const parseURL = require('url').parse
+const base64url = require('base64url')
+const mock = require('mock-require')
+const wsHelper = require('./helpers/ws')
+const errors = require('../src/errors')
+
+// The simulator talks over real sockets, so load fresh copies of the plugin
+// modules that use the real websocket client instead of the mocked one.
+mock.stop('ws')
+const PluginBells = mock.reRequire('../src/lib/plugin')
+const PluginBellsFactory = mock.reRequire('../src/lib/factory')
+const Simulator = mock.reRequire('../src/lib/simulator')
+mock('ws', wsHelper.WebSocket)
+
+const PREIMAGE = base64url(Buffer.alloc(32, 1))
+const CONDITION = base64url(crypto.createHash('sha256').update(Buffer.alloc(32, 1)).digest())
+const CANCELLATION_PREIMAGE = base64url(Buffer.alloc(32, 3))
+const CANCELLATION_CONDITION = base64url(crypto.createHash('sha256').update(Buffer.alloc(32, 3)).digest())
+
+function nextEvent (emitter, event) {
+  return new Promise((resolve) => emitter.once(event, function () {
+    resolve(Array.prototype.slice.call(arguments))
+  }))
+}
+
+describe('Ledger simulator', function () {
+  beforeEach(function * () {
+    this.simulator = new Simulator({
+      prefix: 'example.sim.',
+      accounts: [
+        { name: 'admin', password: 'admin', isAdmin: true },
+        { name: 'alice', password: 'alice', balance: '100' },
+        { name: 'bob', password: 'bob', connector: true }
+      ]
+    })
+    const uri = yield this.simulator.start()
+
+    this.alice = new PluginBells({
+      account: uri + '/accounts/alice',
+      password: 'alice'
+    })
+    this.bob = new PluginBells({
+      account: uri + '/accounts/bob',
+      password: 'bob'
+    })
+    yield [ this.alice.connect(), this.bob.connect() ]
+
+    this.transfer = {
+      id: '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+      to: 'example.sim.bob',
+      amount: '1234',
+      ilp: 'ABAB',
+      executionCondition: CONDITION,
+      expiresAt: new Date(Date.now() + 10000).toISOString()
+    }
+  })
+
+  afterEach(function * () {
+    yield [ this.alice.disconnect(), this.bob.disconnect() ]
+    yield this.simulator.stop()
+  })
+
+  it('serves the ledger metadata and account details', function * () {
+    assert.equal(this.alice.getAccount(), 'example.sim.alice')
+    assert.deepEqual(this.alice.getInfo().connectors, [ 'example.sim.bob' ])
+    assert.equal(yield this.alice.getBalance(), '10000')
+  })
+
+  it('refuses an invalid bearer token with a 403', function * () {
+    const response = yield new Promise((resolve, reject) => {
+      http.get(Object.assign(parseURL(this.simulator.accountUri('alice')), {
+        headers: { Authorization: 'Bearer nope' }
+      }), resolve).on('error', reject)
+    })
+    const body = yield new Promise((resolve) => {
+      let data = ''
+      response.on('data', (chunk) => { data += chunk })
+      response.on('end', () => resolve(JSON.parse(data)))
+    })
+    assert.equal(response.statusCode, 403)
+    assert.equal(body.id, 'UnauthorizedError')
+  })
+
+  it('is used with token auth', function * () {
+    assert.equal(this.alice.supportedAuth, 'token')
+    assert.equal(this.bob.supportedAuth, 'token')
+    assert.equal(this.simulator.tokens.get(this.alice.authToken), 'alice')
+  })
+
+  it('gets a new token when the ledger refuses an expired one', function * () {
+    const expiredToken = this.alice.authToken
+    this.simulator.expireToken(expiredToken)
+    assert.equal(yield this.alice.getBalance(), '10000')
+    assert.notEqual(this.alice.authToken, expiredToken)
+  })
+
+  it('reconnects with a new token after the websocket is refused', function * () {
+    const revokedToken = this.alice.authToken
+    this.simulator.expireToken(revokedToken)
+    const authError = nextEvent(this.alice, 'auth_error')
+    const reconnected = nextEvent(this.alice, 'connect')
+    for (let ws of this.simulator.wss.clients) ws.terminate()
+
+    assert.match((yield authError)[0].message, /401/)
+    yield reconnected
+    assert.notEqual(this.alice.authToken, revokedToken)
+    assert.equal(yield this.alice.getBalance(), '10000')
+  })
+
+  it('refuses a websocket upgrade with an invalid token with a 401', function * () {
+    const url = parseURL(this.simulator.uri + '/websocket?token=nope')
+    const response = yield new Promise((resolve, reject) => {
+      http.get(Object.assign(url, {
+        headers: {
+          Connection: 'Upgrade',
+          Upgrade: 'websocket',
+          'Sec-WebSocket-Version': '13',
+          'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+        }
+      }), resolve)
+        .on('upgrade', () => reject(new Error('websocket upgrade was accepted')))
+        .on('error', reject)
+    })
+    assert.equal(response.statusCode, 401)
+  })
+
+  it('prepares and fulfills a conditional transfer', function * () {
+    const prepared = nextEvent(this.bob, 'incoming_prepare')
+    yield this.alice.sendTransfer(this.transfer)
+    const incoming = (yield prepared)[0]
+    assert.equal(incoming.id, this.transfer.id)
+    assert.equal(incoming.amount, '1234')
+    assert.equal(incoming.ilp, 'ABAB')
+    assert.equal(this.simulator.getBalance('alice'), '87.66')
+
+    const fulfilled = nextEvent(this.alice, 'outgoing_fulfill')
+    yield this.bob.fulfillCondition(this.transfer.id, PREIMAGE)
+    assert.equal((yield fulfilled)[1], PREIMAGE)
+    assert.equal(yield this.bob.getFulfillment(this.transfer.id), PREIMAGE)
+    assert.equal(this.simulator.getBalance('bob'), '12.34')
+  })
+
+  it('refuses a fulfillment that does not match the condition', function * () {
+    yield this.alice.sendTransfer(this.transfer)
+    yield assert.isRejected(this.bob.fulfillCondition(this.transfer.id, base64url(Buffer.alloc(32, 2))),
+      errors.NotAcceptedError)
+  })
+
+  it('rejects a transfer and refunds the sender', function * () {
+    yield this.alice.sendTransfer(this.transfer)
+    const rejected = nextEvent(this.alice, 'outgoing_reject')
+    const rejectionMessage = {
+      code: 'F02',
+      name: 'Unreachable',
+      message: 'no route',
+      triggered_by: 'example.sim.bob',
+      triggered_at: new Date().toISOString(),
+      additional_info: {}
+    }
+    yield this.bob.rejectIncomingTransfer(this.transfer.id, rejectionMessage)
+    assert.deepEqual((yield rejected)[1], rejectionMessage)
+    assert.equal(this.simulator.getBalance('alice'), '100')
+  })
+
+  it('cancels a transfer with the fulfillment of its cancellation condition', function * () {
+    yield this.alice.sendTransfer(Object.assign(this.transfer, {
+      cancellationCondition: CANCELLATION_CONDITION
+    }))
+    const cancelled = nextEvent(this.alice, 'outgoing_cancel')
+    yield this.alice.cancelTransfer(this.transfer.id, CANCELLATION_PREIMAGE)
+    assert.equal((yield cancelled)[1], CANCELLATION_PREIMAGE)
+    assert.equal(this.simulator.getTransfer(this.transfer.id).rejection_reason, 'cancelled')
+    assert.equal(this.simulator.getBalance('alice'), '100')
+
+    yield assert.isRejected(this.bob.fulfillCondition(this.transfer.id, PREIMAGE),
+      errors.AlreadyRolledBackError)
+  })
+
+  it('expires prepared transfers', function * () {
+    const cancelled = nextEvent(this.alice, 'outgoing_cancel')
+    yield this.alice.sendTransfer(Object.assign(this.transfer, {
+      expiresAt: new Date(Date.now() + 50).toISOString()
+    }))
+    assert.equal((yield cancelled)[1].code, 'R00')
+    assert.equal(this.simulator.getTransfer(this.transfer.id).state, 'rejected')
+    assert.equal(this.simulator.getBalance('alice'), '100')
+  })
+
+  it('keeps transfers that expire further out than a timer can', function * () {
+    yield this.alice.sendTransfer(Object.assign(this.transfer, {
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+    }))
+    yield new Promise((resolve) => setTimeout(resolve, 30))
+    assert.equal(this.simulator.getTransfer(this.transfer.id).state, 'prepared')
+  })
+
+  it('refuses transfers without sufficient funds', function * () {
+    yield assert.isRejected(this.alice.sendTransfer(Object.assign(this.transfer, {amount: '100000'})),
+      errors.InsufficientBalanceError)
+  })
+
+  it('delivers requests and responses', function * () {
+    this.bob.registerRequestHandler((request) => Promise.resolve({
+      ledger: request.ledger,
+      to: request.from,
+      custom: {pong: request.custom.ping}
+    }))
+    const response = yield this.alice.sendRequest({
+      ledger: 'example.sim.',
+      to: 'example.sim.bob',
+      custom: {ping: 1}
+    })
+    assert.deepEqual(response.custom, {pong: 1})
+  })
+
+  it('lists the transfers of an account', function * () {
+    yield this.alice.sendTransfer(this.transfer)
+    const result = yield this.bob.getTransfers({state: 'prepared'}).next()
+    assert.equal(result.value.id, this.transfer.id)
+    assert.equal(result.value.direction, 'incoming')
+  })
+
+  it('supports the plugin factory', function * () {
+    const factory = new PluginBellsFactory({
+      adminUsername: 'admin',
+      adminPassword: 'admin',
+      adminAccount: this.simulator.accountUri('admin')
+    })
+    yield factory.connect()
+    this.simulator.addAccount({ name: 'carl' })
+    const carl = yield factory.create({ username: 'carl' })
+
+    const prepared = nextEvent(carl, 'incoming_prepare')
+    yield this.alice.sendTransfer(Object.assign(this.transfer, {to: 'example.sim.carl'}))
+    assert.equal((yield prepared)[0].id, this.transfer.id)
+
+    yield carl.fulfillCondition(this.transfer.id, PREIMAGE)
+    assert.equal(this.simulator.getBalance('carl'), '12.34')
+    yield factory.disconnect()
+  })
+})
@@ -0,0 +1,322 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const assert = chai.assert
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const mock = require('mock-require')
+const nock = require('nock')
+const sinon = require('sinon')
+const wsHelper = require('./helpers/ws')
+const errors = require('../src/errors')
+const cloneDeep = require('lodash/cloneDeep')
+const FileTransferStore = require('../src/lib/transfer-journal').FileTransferStore
+
+mock('ws', wsHelper.WebSocket)
+const PluginBells = require('..')
+
+function makeMemoryStore () {
+  const records = {}
+  return {
+    records,
+    get: (id) => Promise.resolve(records[id] || null),
+    put: (id, record) => { records[id] = record; return Promise.resolve() },
+    del: (id) => { delete records[id]; return Promise.resolve() },
+    list: () => Promise.resolve(Object.keys(records).map((id) => records[id]))
+  }
+}
+
+describe('Transfer journal', function () {
+  beforeEach(function * () {
+    this.store = makeMemoryStore()
+    this.plugin = new PluginBells({
+      prefix: 'example.red.',
+      account: 'http://red.example/accounts/mike',
+      password: 'mike',
+      transferJournal: this.store
+    })
+
+    nock('http://red.example')
+      .get('/auth_token')
+      .reply(200, {token: 'abc'})
+
+    nock('http://red.example')
+      .get('/accounts/mike')
+      .reply(200, {
+        ledger: 'http://red.example',
+        name: 'mike'
+      })
+      .get('/transfers/1')
+      .reply(403)
+
+    this.infoRedLedger = cloneDeep(require('./data/infoRedLedger.json'))
+    this.ledgerTransfer = cloneDeep(require('./data/transfer.json'))
+    this.transfer = {
+      id: '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+      to: 'example.red.alice',
+      amount: '12300',
+      noteToSelf: {source: 'something'}
+    }
+
+    nock('http://red.example')
+      .get('/')
+      .reply(200, this.infoRedLedger)
+
+    this.wsRedLedger = wsHelper.makeServer('ws://red.example/websocket?token=abc')
+
+    yield this.plugin.connect()
+  })
+
+  afterEach(function * () {
+    this.wsRedLedger.stop()
+    assert(nock.isDone(), 'nocks should all have been called')
+  })
+
+  describe('sendTransfer', function () {
+    it('records the transfer before submitting it', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .reply(() => {
+          const record = this.store.records[this.transfer.id]
+          assert.equal(record.state, 'proposed')
+          assert.deepEqual(record.transfer, this.transfer)
+          return [200]
+        })
+
+      yield this.plugin.sendTransfer(this.transfer)
+      assert.equal(this.store.records[this.transfer.id].state, 'submitted')
+    })
+
+    it('removes the transfer if the ledger refuses it', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(422, {id: 'InsufficientFundsError', message: 'Sender has insufficient funds.'})
+
+      yield assert.isRejected(this.plugin.sendTransfer(this.transfer), errors.InsufficientBalanceError)
+      assert.deepEqual(this.store.records, {})
+    })
+
+    it('keeps the record of a transfer in flight when its id is reused', function * () {
+      const inFlight = {id: this.transfer.id, state: 'submitted', transfer: this.transfer}
+      yield this.store.put(this.transfer.id, inFlight)
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(422, {id: 'InvalidModificationError', message: 'Transfer already exists'})
+
+      yield assert.isRejected(this.plugin.sendTransfer(Object.assign({}, this.transfer, {amount: '1'})),
+        errors.DuplicateIdError)
+      assert.deepEqual(this.store.records[this.transfer.id], inFlight)
+    })
+
+    it('keeps the transfer if the ledger cannot be reached', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .replyWithError('socket hang up')
+
+      yield assert.isRejected(this.plugin.sendTransfer(this.transfer))
+      assert.equal(this.store.records[this.transfer.id].state, 'proposed')
+    })
+  })
+
+  describe('notifications', function () {
+    it('marks an outgoing transfer executed once it is notified', function * () {
+      yield this.store.put(this.transfer.id, {id: this.transfer.id, state: 'submitted'})
+      yield this.plugin._handleNotification({
+        event: 'transfer.update',
+        resource: Object.assign(this.ledgerTransfer, {
+          execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32',
+          state: 'executed'
+        }),
+        related_resources: {
+          execution_condition_fulfillment: 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ'
+        }
+      })
+      assert.equal(this.store.records[this.transfer.id].state, 'executed')
+    })
+
+    it('journals the outcome before emitting the event', function * () {
+      yield this.store.put(this.transfer.id, {id: this.transfer.id, state: 'submitted'})
+      const spyFulfill = sinon.spy(() => {
+        assert.equal(this.store.records[this.transfer.id].state, 'executed')
+      })
+      this.plugin.on('outgoing_fulfill', spyFulfill)
+      yield this.plugin._handleNotification({
+        event: 'transfer.update',
+        resource: Object.assign(this.ledgerTransfer, {
+          execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32',
+          state: 'executed'
+        }),
+        related_resources: {
+          execution_condition_fulfillment: 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ'
+        }
+      })
+      sinon.assert.calledOnce(spyFulfill)
+    })
+  })
+
+  describe('recoverPendingTransfers', function () {
+    it('emits outgoing_fulfill for a transfer executed while we were away', function * () {
+      yield this.store.put(this.transfer.id, {id: this.transfer.id, state: 'submitted'})
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(200, Object.assign(this.ledgerTransfer, {
+          execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32',
+          state: 'executed'
+        }))
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment')
+        .reply(200, 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ')
+      const stubFulfill = sinon.stub()
+      this.plugin.on('outgoing_fulfill', stubFulfill)
+
+      yield this.plugin.recoverPendingTransfers()
+      sinon.assert.calledOnce(stubFulfill)
+      assert.equal(stubFulfill.firstCall.args[0].id, this.transfer.id)
+      assert.equal(stubFulfill.firstCall.args[1], 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+      assert.equal(this.store.records[this.transfer.id].state, 'executed')
+    })
+
+    it('emits outgoing_reject for a transfer rejected while we were away', function * () {
+      const rejectionMessage = {
+        code: 'F00',
+        name: 'Bad Request',
+        message: 'fail!',
+        triggered_by: 'example.red.alice',
+        triggered_at: (new Date()).toISOString(),
+        additional_info: {}
+      }
+      yield this.store.put(this.transfer.id, {id: this.transfer.id, state: 'submitted'})
+      this.ledgerTransfer.credits[0].rejected = true
+      this.ledgerTransfer.credits[0].rejection_message = rejectionMessage
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(200, Object.assign(this.ledgerTransfer, {
+          execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32',
+          state: 'rejected'
+        }))
+      const stubReject = sinon.stub()
+      this.plugin.on('outgoing_reject', stubReject)
+
+      yield this.plugin.recoverPendingTransfers()
+      sinon.assert.calledOnce(stubReject)
+      assert.deepEqual(stubReject.firstCall.args[1], rejectionMessage)
+      assert.equal(this.store.records[this.transfer.id].state, 'rejected')
+    })
+
+    it('leaves prepared transfers pending', function * () {
+      yield this.store.put(this.transfer.id, {id: this.transfer.id, state: 'proposed'})
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(200, Object.assign(this.ledgerTransfer, {state: 'prepared'}))
+
+      yield this.plugin.recoverPendingTransfers()
+      assert.equal(this.store.records[this.transfer.id].state, 'submitted')
+    })
+
+    it('forgets proposed transfers the ledger has never seen', function * () {
+      yield this.store.put(this.transfer.id, {id: this.transfer.id, state: 'proposed'})
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(404, {id: 'NotFoundError', message: 'Unknown transfer'})
+
+      yield this.plugin.recoverPendingTransfers()
+      assert.deepEqual(this.store.records, {})
+    })
+
+    it('skips transfers whose final state is already known', function * () {
+      yield this.store.put(this.transfer.id, {id: this.transfer.id, state: 'executed'})
+      yield this.plugin.recoverPendingTransfers()
+    })
+
+    it('prunes the records of transfers that ended more than a day ago', function * () {
+      const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
+      yield this.store.put('a', {id: 'a', state: 'executed', updatedAt: twoDaysAgo})
+      yield this.store.put('b', {id: 'b', state: 'rejected', updatedAt: new Date().toISOString()})
+      yield this.plugin.recoverPendingTransfers()
+      assert.deepEqual(Object.keys(this.store.records), ['b'])
+    })
+
+    it('emits outgoing_fulfill once for a tracked transfer executed while reconnecting', function * () {
+      const executionCondition = 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32'
+      yield this.store.put(this.transfer.id, {id: this.transfer.id, state: 'submitted'})
+      yield this.plugin._handleNotification({
+        event: 'transfer.create',
+        resource: Object.assign({}, this.ledgerTransfer, {
+          execution_condition: executionCondition,
+          expires_at: (new Date(Date.now() + 60000)).toISOString(),
+          state: 'prepared'
+        })
+      })
+      // answers both the replay and the recovery, if both fetch the transfer
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(200, Object.assign({}, this.ledgerTransfer, {
+          execution_condition: executionCondition,
+          state: 'executed'
+        }))
+        .persist()
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment')
+        .reply(200, 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ')
+        .persist()
+      const stubFulfill = sinon.stub()
+      this.plugin.on('outgoing_fulfill', stubFulfill)
+      const fulfilled = new Promise((resolve) => this.plugin.once('outgoing_fulfill', resolve))
+
+      this.wsRedLedger.emit('close')
+      yield fulfilled
+      yield new Promise((resolve) => setTimeout(resolve, 20))
+      nock.cleanAll()
+      sinon.assert.calledOnce(stubFulfill)
+      assert.equal(this.store.records[this.transfer.id].state, 'executed')
+      assert.deepEqual(this.plugin.transferTracker.getInFlight(), [])
+    })
+  })
+
+  describe('FileTransferStore', function () {
+    beforeEach(function () {
+      this.path = path.join(os.tmpdir(), 'ilp-plugin-bells-journal-' + process.pid + '.json')
+    })
+
+    afterEach(function () {
+      if (fs.existsSync(this.path)) fs.unlinkSync(this.path)
+    })
+
+    it('persists records across instances', function * () {
+      const store = new FileTransferStore(this.path)
+      yield store.put('a', {id: 'a', state: 'proposed'})
+      yield store.put('b', {id: 'b', state: 'submitted'})
+      yield store.del('a')
+
+      const reloaded = new FileTransferStore(this.path)
+      assert.deepEqual(yield reloaded.list(), [{id: 'b', state: 'submitted'}])
+      assert.isNull(yield reloaded.get('a'))
+    })
+
+    it('moves a corrupt file aside and starts over', function * () {
+      fs.writeFileSync(this.path, '{"a": {"id": "a", "sta')
+      const warn = sinon.stub(console, 'warn')
+      const store = new FileTransferStore(this.path)
+      let records
+      try {
+        records = yield [ store.list(), store.list() ]
+      } finally {
+        warn.restore()
+      }
+      assert.deepEqual(records, [ [], [] ])
+      sinon.assert.calledOnce(warn)
+      assert.match(warn.firstCall.args[0], /transfer journal .* is corrupt/)
+
+      const corruptPath = warn.firstCall.args[0].match(/moved it to (\S+)/)[1]
+      assert.equal(fs.readFileSync(corruptPath, 'utf8'), '{"a": {"id": "a", "sta')
+      fs.unlinkSync(corruptPath)
+
+      yield store.put('b', {id: 'b', state: 'proposed'})
+      assert.deepEqual(yield new FileTransferStore(this.path).list(), [{id: 'b', state: 'proposed'}])
+    })
+  })
+})
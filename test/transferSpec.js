@@ -13,10 +13,12 @@ const wsHelper = require('./helpers/ws')
 const errors = require('../src/errors')
 const ExternalError = require('../src/errors/external-error')
 const cloneDeep = require('lodash/cloneDeep')
+const base64url = require('base64url')
 const _ = require('lodash')
 
 mock('ws', wsHelper.WebSocket)
 const PluginBells = require('..')
+const RetryPolicy = require('../src/lib/retry-policy')
 
 describe('Transfer methods', function () {
   beforeEach(function * () {
@@ -141,6 +143,70 @@ describe('Transfer methods', function () {
       })), null)
     })
 
+    it('submits a transfer with multiple credits', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', {
+          id: 'http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+          ledger: 'http://red.example',
+          debits: [{
+            account: 'http://red.example/accounts/mike',
+            amount: '12.3',
+            authorized: true,
+            memo: {source: 'something'}
+          }],
+          credits: [{
+            account: 'http://red.example/accounts/alice',
+            amount: '10',
+            memo: {ilp: 'ABAB'}
+          }, {
+            account: 'http://red.example/accounts/bob',
+            amount: '2.3',
+            memo: {note: 'fee'}
+          }]
+        })
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(200)
+      yield assert.isFulfilled(this.plugin.sendTransfer({
+        id: '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        noteToSelf: {source: 'something'},
+        credits: [
+          {to: 'example.red.alice', amount: '1000', ilp: 'ABAB'},
+          {to: 'example.red.bob', amount: '230', memo: {note: 'fee'}}
+        ]
+      }), null)
+    })
+
+    it('throws InvalidFieldsError if the amount does not match the credits', function * () {
+      yield assert.isRejected(this.plugin.sendTransfer({
+        id: '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        amount: '1000',
+        credits: [
+          {to: 'example.red.alice', amount: '1000'},
+          {to: 'example.red.bob', amount: '230'}
+        ]
+      }), errors.InvalidFieldsError, 'amount does not match the sum of credits')
+    })
+
+    it('throws InvalidFieldsError for an ilp packet outside of the credits', function * () {
+      yield assert.isRejected(this.plugin.sendTransfer({
+        id: '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        ilp: 'ABAB',
+        credits: [
+          {to: 'example.red.alice', amount: '1000'},
+          {to: 'example.red.bob', amount: '230'}
+        ]
+      }), errors.InvalidFieldsError, 'ilp must be given per credit for transfers with credits')
+    })
+
+    it('throws InvalidFieldsError for an invalid credit', function * () {
+      yield assert.isRejected(this.plugin.sendTransfer({
+        id: '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        credits: [
+          {to: 'example.red.alice', amount: '-1'}
+        ]
+      }), errors.InvalidFieldsError, 'invalid amount in credits')
+    })
+
     it('throws InvalidFieldsError for missing to field', function (done) {
       this.plugin.sendTransfer({
         id: '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
@@ -335,7 +401,20 @@ describe('Transfer methods', function () {
         account: 'example.red.alice',
         amount: '123',
         cases: ['http://notary.example/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086']
-      }).should.be.rejectedWith('Unexpected status code: 400')
+      }).should.be.rejectedWith(errors.NotAcceptedError, 'Unexpected status code: 400')
+    })
+
+    it('translates the errors of the cases notification like those of the ledger', function () {
+      nock('http://notary.example/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086')
+        .post('/targets', ['http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment'])
+        .reply(400, {id: 'InvalidBodyError', message: 'Invalid notification target'})
+
+      return this.plugin.sendTransfer({
+        id: '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        account: 'example.red.alice',
+        amount: '123',
+        cases: ['http://notary.example/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086']
+      }).should.be.rejectedWith(errors.InvalidFieldsError, 'Invalid notification target')
     })
 
     it('throws an Error when not connected', function () {
@@ -497,6 +576,33 @@ describe('Transfer methods', function () {
       nockInfo.done()
     })
 
+    it('throws NotAcceptedError without asking the ledger if the fulfillment doesn\'t match', function * () {
+      this.plugin.transferTracker.observe(this.plugin.account, {
+        id: 'http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        state: 'prepared',
+        execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32'
+      })
+      yield assert.isRejected(this.plugin.fulfillCondition(
+        '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'), errors.NotAcceptedError,
+        'Fulfillment does not match the condition of transfer 6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+    })
+
+    it('submits a fulfillment that matches the condition of a transfer it has seen', function * () {
+      this.plugin.transferTracker.observe(this.plugin.account, {
+        id: 'http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        state: 'prepared',
+        execution_condition: 'ni:///sha-256;uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U?fpt=preimage-sha-256&cost=32'
+      })
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment2', {
+          condition_fulfillment: 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ'
+        })
+        .reply(201)
+      yield this.plugin.fulfillCondition('6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+    })
+
     it('puts the fulfillment for ledgers that support fulfillment data', function * () {
       nock('http://red.example')
         .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment2', {
@@ -573,6 +679,119 @@ describe('Transfer methods', function () {
     })
   })
 
+  describe('cancelTransfer', function () {
+    it('submits the cancellation fulfillment', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment2', {
+          condition_fulfillment: 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ'
+        })
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(201)
+      yield assert.isFulfilled(this.plugin.cancelTransfer(
+        '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'), null)
+    })
+
+    it('throws NotAcceptedError without asking the ledger if the fulfillment doesn\'t match', function * () {
+      this.plugin.transferTracker.observe(this.plugin.account, {
+        id: 'http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        state: 'prepared',
+        execution_condition: 'ni:///sha-256;uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U?fpt=preimage-sha-256&cost=32',
+        cancellation_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32'
+      })
+      yield assert.isRejected(this.plugin.cancelTransfer(
+        '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'), errors.NotAcceptedError,
+        'Fulfillment does not match the cancellation condition of transfer 6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+    })
+
+    it('throws AlreadyFulfilledError when cancelling an executed transfer', function () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment2')
+        .reply(422, {
+          id: 'InvalidModificationError',
+          message: 'Transfers in state executed may not be rejected'
+        })
+      return this.plugin.cancelTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        .should.be.rejectedWith(errors.AlreadyFulfilledError, 'Transfers in state executed may not be rejected')
+    })
+
+    it('throws an Error when not connected', function () {
+      const plugin = new PluginBells({
+        prefix: 'example.red.',
+        account: 'http://red.example/accounts/mike',
+        password: 'mike'
+      })
+      return assert.isRejected(plugin.cancelTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'),
+        /Must be connected before cancelTransfer can be called/)
+    })
+  })
+
+  describe('notary cases', function () {
+    beforeEach(function () {
+      this.case = {
+        id: 'http://notary.example/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086',
+        execution_condition: 'ni:///sha-256;uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U?fpt=preimage-sha-256&cost=32',
+        expires_at: '2017-06-01T12:00:00.000Z',
+        notaries: [ 'http://notary.example' ],
+        notification_targets: [ 'http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment' ]
+      }
+    })
+
+    it('creates a case and returns its URI', function * () {
+      nock('http://notary.example')
+        .put('/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086', this.case)
+        .reply(201, this.case)
+      const caseUri = yield this.plugin.createCase('http://notary.example', {
+        id: '2cd5bcdb-46c9-4243-ac3f-79046a87a086',
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '2017-06-01T12:00:00.000Z',
+        notificationTargets: [ 'http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment' ]
+      })
+      assert.equal(caseUri, 'http://notary.example/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086')
+    })
+
+    it('throws InvalidFieldsError without an execution condition', function () {
+      return assert.isRejected(this.plugin.createCase('http://notary.example', {
+        expiresAt: '2017-06-01T12:00:00.000Z'
+      }), errors.InvalidFieldsError)
+    })
+
+    it('throws InvalidFieldsError if the notary rejects the case', function () {
+      nock('http://notary.example')
+        .put('/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086')
+        .reply(400, {id: 'InvalidBodyError', message: 'fail'})
+      return assert.isRejected(this.plugin.createCase('http://notary.example', {
+        id: '2cd5bcdb-46c9-4243-ac3f-79046a87a086',
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '2017-06-01T12:00:00.000Z'
+      }), errors.InvalidFieldsError, 'fail')
+    })
+
+    it('gets a case', function * () {
+      nock('http://notary.example')
+        .get('/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086')
+        .reply(200, Object.assign({ state: 'rejected' }, this.case))
+      const notaryCase = yield this.plugin.getCase('http://notary.example/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086')
+      assert.deepEqual(notaryCase, {
+        id: 'http://notary.example/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086',
+        state: 'rejected',
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '2017-06-01T12:00:00.000Z',
+        notaries: [ 'http://notary.example' ],
+        notificationTargets: [ 'http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment' ]
+      })
+    })
+
+    it('throws CaseNotFoundError for an unknown case', function () {
+      nock('http://notary.example')
+        .get('/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086')
+        .reply(404, {id: 'NotFoundError', message: 'Unknown case'})
+      return assert.isRejected(this.plugin.getCase('http://notary.example/cases/2cd5bcdb-46c9-4243-ac3f-79046a87a086'),
+        errors.CaseNotFoundError)
+    })
+  })
+
   describe('getFulfillment', function () {
     it('returns the fulfillment', function * () {
       nock('http://red.example', {
@@ -646,6 +865,341 @@ describe('Transfer methods', function () {
     })
   })
 
+  describe('getTransfer', function () {
+    it('returns an outgoing transfer with its state', function * () {
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(200, Object.assign(this.ledgerTransfer, {
+          execution_condition: 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32',
+          expires_at: '2017-12-07T00:00:00.000Z',
+          state: 'prepared'
+        }))
+      assert.deepEqual(yield this.plugin.getTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c'), {
+        id: '6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        direction: 'outgoing',
+        account: 'example.red.alice',
+        from: 'example.red.mike',
+        to: 'example.red.alice',
+        ledger: 'example.red.',
+        amount: '12300',
+        noteToSelf: {source: 'something'},
+        executionCondition: '47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU',
+        expiresAt: '2017-12-07T00:00:00.000Z',
+        state: 'prepared'
+      })
+    })
+
+    it('returns an incoming transfer', function * () {
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(200, {
+          id: 'http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+          ledger: 'http://red.example',
+          debits: [{account: 'http://red.example/accounts/alice', amount: '1.5'}],
+          credits: [{account: 'http://red.example/accounts/mike', amount: '1.5', memo: {ilp: 'ABAB'}}],
+          state: 'executed'
+        })
+      const transfer = yield this.plugin.getTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+      assert.equal(transfer.direction, 'incoming')
+      assert.equal(transfer.from, 'example.red.alice')
+      assert.equal(transfer.amount, '150')
+      assert.equal(transfer.ilp, 'ABAB')
+      assert.equal(transfer.state, 'executed')
+    })
+
+    it('throws TransferNotFoundError on NotFoundError', function * () {
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(404, {
+          id: 'NotFoundError',
+          message: 'Unknown transfer'
+        })
+      yield assert.isRejected(this.plugin.getTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c'),
+        errors.TransferNotFoundError, /Unknown transfer/)
+    })
+
+    it('throws TransferNotFoundError if the transfer does not involve the account', function * () {
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(200, Object.assign(this.ledgerTransfer, {
+          debits: [{account: 'http://red.example/accounts/bob', amount: '123'}],
+          state: 'executed'
+        }))
+      yield assert.isRejected(this.plugin.getTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c'),
+        errors.TransferNotFoundError, /does not debit or credit account/)
+    })
+
+    it('throws InvalidFieldsError on InvalidUriParameterError', function * () {
+      nock('http://red.example')
+        .get('/transfers/garbage')
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(400, {
+          id: 'InvalidUriParameterError',
+          message: 'id is not a valid Uuid'
+        })
+      yield assert.isRejected(this.plugin.getTransfer('garbage'), errors.InvalidFieldsError)
+    })
+
+    it('throws NotAcceptedError on UnauthorizedError', function * () {
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(403, {
+          id: 'UnauthorizedError',
+          message: 'Unknown or invalid account / password'
+        })
+        // the token may have been the problem, so it is tried once with a new one
+        .get('/auth_token')
+        .reply(200, {token: 'def'})
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .matchHeader('authorization', 'Bearer def')
+        .reply(403, {
+          id: 'UnauthorizedError',
+          message: 'Unknown or invalid account / password'
+        })
+      yield assert.isRejected(this.plugin.getTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c'),
+        errors.NotAcceptedError)
+    })
+
+    it('throws an ExternalError on 500', function * () {
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(500)
+      yield assert.isRejected(this.plugin.getTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c'),
+        ExternalError, /Remote error: status=500/)
+    })
+
+    it('throws an Error when not connected', function () {
+      const plugin = new PluginBells({
+        prefix: 'example.red.',
+        account: 'http://red.example/accounts/mike',
+        password: 'mike'
+      })
+      return assert.isRejected(plugin.getTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c'), /Must be connected before getTransfer can be called/)
+    })
+  })
+
+  describe('getTransfers', function () {
+    beforeEach(function () {
+      this.makeTransfer = (id, state) => ({
+        id: 'http://red.example/transfers/' + id,
+        ledger: 'http://red.example',
+        debits: [{account: 'http://red.example/accounts/mike', amount: '1'}],
+        credits: [{account: 'http://red.example/accounts/alice', amount: '1'}],
+        state: state
+      })
+      this.drain = function * (iterator) {
+        const transfers = []
+        while (true) {
+          const result = yield iterator.next()
+          if (result.done) return transfers
+          transfers.push(result.value)
+        }
+      }
+    })
+
+    it('pages through the transfer listing', function * () {
+      nock('http://red.example')
+        .get('/accounts/mike/transfers')
+        .query({since: '2017-12-01T00:00:00.000Z', state: 'executed'})
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(200, {
+          transfers: [this.makeTransfer('00000000-0000-0000-0000-000000000001', 'executed')],
+          cursor: 'page2'
+        })
+        .get('/accounts/mike/transfers')
+        .query({since: '2017-12-01T00:00:00.000Z', state: 'executed', cursor: 'page2'})
+        .reply(200, {
+          transfers: [this.makeTransfer('00000000-0000-0000-0000-000000000002', 'executed')]
+        })
+
+      const transfers = yield this.drain(this.plugin.getTransfers({
+        since: '2017-12-01T00:00:00.000Z',
+        state: 'executed'
+      }))
+      assert.deepEqual(transfers.map((t) => t.id), [
+        '00000000-0000-0000-0000-000000000001',
+        '00000000-0000-0000-0000-000000000002'
+      ])
+      assert.equal(transfers[0].direction, 'outgoing')
+      assert.equal(transfers[0].amount, '100')
+      assert.equal(transfers[0].state, 'executed')
+    })
+
+    it('stops after the limit and exposes the cursor', function * () {
+      nock('http://red.example')
+        .get('/accounts/mike/transfers')
+        .query({limit: 1})
+        .reply(200, {
+          transfers: [this.makeTransfer('00000000-0000-0000-0000-000000000001', 'prepared')],
+          cursor: 'page2'
+        })
+
+      const iterator = this.plugin.getTransfers({limit: 1, pageSize: 1})
+      const transfers = yield this.drain(iterator)
+      assert.equal(transfers.length, 1)
+      assert.equal(iterator.cursor, 'page2')
+    })
+
+    it('keeps fetching pages until it reaches the limit', function * () {
+      nock('http://red.example')
+        .get('/accounts/mike/transfers')
+        .query({limit: 2})
+        .reply(200, {
+          transfers: [this.makeTransfer('00000000-0000-0000-0000-000000000001', 'executed')],
+          cursor: 'page2'
+        })
+        .get('/accounts/mike/transfers')
+        .query({limit: 2, cursor: 'page2'})
+        .reply(200, {
+          transfers: [
+            this.makeTransfer('00000000-0000-0000-0000-000000000002', 'executed'),
+            this.makeTransfer('00000000-0000-0000-0000-000000000003', 'executed')
+          ],
+          cursor: 'page3'
+        })
+
+      const transfers = yield this.drain(this.plugin.getTransfers({limit: 3, pageSize: 2}))
+      assert.deepEqual(transfers.map((t) => t.id), [
+        '00000000-0000-0000-0000-000000000001',
+        '00000000-0000-0000-0000-000000000002',
+        '00000000-0000-0000-0000-000000000003'
+      ])
+    })
+
+    it('doesn\'t move the cursor past transfers that weren\'t consumed', function * () {
+      nock('http://red.example')
+        .get('/accounts/mike/transfers')
+        .reply(200, {
+          transfers: [
+            this.makeTransfer('00000000-0000-0000-0000-000000000001', 'executed'),
+            this.makeTransfer('00000000-0000-0000-0000-000000000002', 'executed')
+          ],
+          cursor: 'page2'
+        })
+        .get('/accounts/mike/transfers')
+        .query({cursor: 'page2'})
+        .reply(200, {
+          transfers: [
+            this.makeTransfer('00000000-0000-0000-0000-000000000003', 'executed'),
+            this.makeTransfer('00000000-0000-0000-0000-000000000004', 'executed')
+          ]
+        })
+        .get('/accounts/mike/transfers')
+        .query({cursor: 'page2'})
+        .reply(200, {
+          transfers: [
+            this.makeTransfer('00000000-0000-0000-0000-000000000003', 'executed'),
+            this.makeTransfer('00000000-0000-0000-0000-000000000004', 'executed')
+          ]
+        })
+
+      const iterator = this.plugin.getTransfers({limit: 3})
+      yield this.drain(iterator)
+      assert.equal(iterator.cursor, 'page2')
+
+      const rest = yield this.drain(this.plugin.getTransfers({cursor: iterator.cursor}))
+      assert.deepEqual(rest.map((t) => t.id), [
+        '00000000-0000-0000-0000-000000000003',
+        '00000000-0000-0000-0000-000000000004'
+      ])
+    })
+
+    it('keeps the cursor of the last page once the listing is exhausted', function * () {
+      nock('http://red.example')
+        .get('/accounts/mike/transfers')
+        .reply(200, {
+          transfers: [this.makeTransfer('00000000-0000-0000-0000-000000000001', 'executed')],
+          cursor: 'page2'
+        })
+        .get('/accounts/mike/transfers')
+        .query({cursor: 'page2'})
+        .reply(200, {
+          transfers: [this.makeTransfer('00000000-0000-0000-0000-000000000002', 'executed')]
+        })
+        .get('/accounts/mike/transfers')
+        .query({cursor: 'page2'})
+        .reply(200, {
+          transfers: [
+            this.makeTransfer('00000000-0000-0000-0000-000000000002', 'executed'),
+            this.makeTransfer('00000000-0000-0000-0000-000000000003', 'executed')
+          ]
+        })
+
+      const iterator = this.plugin.getTransfers()
+      yield this.drain(iterator)
+      assert.equal(iterator.cursor, 'page2')
+
+      // resuming only repeats the last page, which has grown since
+      const rest = yield this.drain(this.plugin.getTransfers({cursor: iterator.cursor}))
+      assert.deepEqual(rest.map((t) => t.id), [
+        '00000000-0000-0000-0000-000000000002',
+        '00000000-0000-0000-0000-000000000003'
+      ])
+    })
+
+    it('skips pages without matching transfers', function * () {
+      nock('http://red.example')
+        .get('/accounts/mike/transfers')
+        .query({limit: 1})
+        .reply(200, {
+          transfers: [this.makeTransfer('00000000-0000-0000-0000-000000000001', 'executed')],
+          cursor: 'page2'
+        })
+        .get('/accounts/mike/transfers')
+        .query({limit: 1, cursor: 'page2'})
+        .reply(200, {
+          transfers: [Object.assign(this.makeTransfer('00000000-0000-0000-0000-000000000002', 'executed'), {
+            debits: [{account: 'http://red.example/accounts/alice', amount: '1'}],
+            credits: [{account: 'http://red.example/accounts/mike', amount: '1'}]
+          })]
+        })
+
+      const transfers = yield this.drain(this.plugin.getTransfers({direction: 'incoming', limit: 1, pageSize: 1}))
+      assert.deepEqual(transfers.map((t) => t.id), ['00000000-0000-0000-0000-000000000002'])
+    })
+
+    it('filters by direction', function * () {
+      const incoming = this.makeTransfer('00000000-0000-0000-0000-000000000002', 'executed')
+      incoming.debits[0].account = 'http://red.example/accounts/alice'
+      incoming.credits[0].account = 'http://red.example/accounts/mike'
+      nock('http://red.example')
+        .get('/accounts/mike/transfers')
+        .reply(200, {
+          transfers: [
+            this.makeTransfer('00000000-0000-0000-0000-000000000001', 'executed'),
+            incoming
+          ]
+        })
+
+      const transfers = yield this.drain(this.plugin.getTransfers({direction: 'incoming'}))
+      assert.deepEqual(transfers.map((t) => t.id), ['00000000-0000-0000-0000-000000000002'])
+    })
+
+    it('throws InvalidFieldsError for an invalid direction', function () {
+      assert.throws(() => this.plugin.getTransfers({direction: 'sideways'}),
+        errors.InvalidFieldsError, 'invalid direction')
+    })
+
+    it('throws an ExternalError on 500', function * () {
+      nock('http://red.example')
+        .get('/accounts/mike/transfers')
+        .reply(500)
+      yield assert.isRejected(this.plugin.getTransfers().next(), ExternalError, /Remote error: status=500/)
+    })
+
+    it('throws if the ledger does not support listing transfers', function () {
+      delete this.plugin.ledgerContext.urls.account_transfers
+      assert.throws(() => this.plugin.getTransfers(), errors.NotAcceptedError,
+        'ledger does not support listing transfers')
+    })
+  })
+
   describe('rejectIncomingTransfer', function () {
     const rejectionMessage = {
       code: 'T00',
@@ -669,6 +1223,40 @@ describe('Transfer methods', function () {
         'should resolve to null')
     })
 
+    it('accepts an IlpError as the rejection message', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/rejection', (body) => {
+          assert.deepEqual(_.omit(body, 'triggered_at'), {
+            code: 'T04',
+            name: 'Insufficient Liquidity',
+            message: 'out of money',
+            triggered_by: 'example.red.mike',
+            additional_info: { balance: '0' }
+          })
+          assert.isString(body.triggered_at)
+          return true
+        })
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(200, {whatever: true})
+      yield this.plugin.rejectIncomingTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        PluginBells.IlpError.insufficientLiquidity('out of money', { balance: '0' }))
+    })
+
+    it('fills in the missing fields of the rejection message', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/rejection', {
+          code: 'F02',
+          name: 'Unreachable',
+          message: 'no route',
+          triggered_by: 'example.red.mike',
+          additional_info: {}
+        })
+        .matchHeader('authorization', 'Bearer abc')
+        .reply(200, {whatever: true})
+      yield this.plugin.rejectIncomingTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        { code: 'F02', message: 'no route' })
+    })
+
     it('throws NotAcceptedError on UnauthorizedError', function * () {
       nock('http://red.example')
         .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/rejection', rejectionMessage)
@@ -710,4 +1298,205 @@ describe('Transfer methods', function () {
       return assert.isRejected(plugin.rejectIncomingTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c', rejectionMessage), /Must be connected before rejectIncomingTransfer can be called/)
     })
   })
+
+  describe('with allowCryptoConditions', function () {
+    beforeEach(function () {
+      this.plugin.allowCryptoConditions = true
+      this.condition = 'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=ed25519-sha-256&cost=131072'
+      // ED25519-SHA-256 fulfillment with a zeroed public key and signature
+      this.fulfillment = base64url(Buffer.concat([
+        Buffer.from([0xa4, 0x64, 0x80, 0x20]), Buffer.alloc(32),
+        Buffer.from([0x81, 0x40]), Buffer.alloc(64)
+      ]))
+    })
+
+    it('submits a transfer with a crypto-condition', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', (body) => {
+          assert.equal(body.execution_condition, this.condition)
+          return true
+        })
+        .reply(200)
+      yield this.plugin.sendTransfer(Object.assign(this.transfer, {
+        executionCondition: this.condition,
+        expiresAt: '2017-12-07T00:00:00.000Z'
+      }))
+    })
+
+    it('still turns hashlocks into PREIMAGE-SHA-256 conditions', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', (body) => {
+          assert.equal(body.execution_condition,
+            'ni:///sha-256;47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU?fpt=preimage-sha-256&cost=32')
+          return true
+        })
+        .reply(200)
+      yield this.plugin.sendTransfer(Object.assign(this.transfer, {
+        executionCondition: '47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU',
+        expiresAt: '2017-12-07T00:00:00.000Z'
+      }))
+    })
+
+    it('rejects crypto-conditions unless enabled', function * () {
+      this.plugin.allowCryptoConditions = false
+      yield assert.isRejected(this.plugin.sendTransfer(Object.assign(this.transfer, {
+        executionCondition: this.condition,
+        expiresAt: '2017-12-07T00:00:00.000Z'
+      })), errors.InvalidFieldsError, /Condition size must be 32 bytes as base64url/)
+    })
+
+    it('returns a transfer with a crypto-condition', function * () {
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(200, Object.assign(this.ledgerTransfer, {
+          execution_condition: this.condition,
+          state: 'prepared'
+        }))
+      const transfer = yield this.plugin.getTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+      assert.equal(transfer.executionCondition, this.condition)
+    })
+
+    it('submits a DER-encoded fulfillment', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment2', {
+          condition_fulfillment: this.fulfillment
+        })
+        .reply(201)
+      yield this.plugin.fulfillCondition('6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.fulfillment)
+    })
+
+    it('checks a DER-encoded fulfillment against a hashlock', function * () {
+      this.plugin.transferTracker.observe(this.plugin.account, {
+        id: 'http://red.example/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        state: 'prepared',
+        execution_condition: 'ni:///sha-256;uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U?fpt=preimage-sha-256&cost=32'
+      })
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment2', {
+          condition_fulfillment: 'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ'
+        })
+        .reply(201)
+      yield this.plugin.fulfillCondition('6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        'oCKAIB0vHuRMNNlygIJcrrNnYdjoWm7qpstxwzPBFzC89tqJ')
+      yield assert.isRejected(this.plugin.fulfillCondition('6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.fulfillment),
+        errors.NotAcceptedError, 'Fulfillment does not match the condition of transfer 6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+    })
+
+    it('rejects a fulfillment that isn\'t DER-encoded', function * () {
+      yield assert.isRejected(this.plugin.fulfillCondition('6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        this.fulfillment.slice(0, -4)), errors.InvalidFieldsError)
+    })
+
+    it('returns a DER-encoded fulfillment', function * () {
+      nock('http://red.example')
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment')
+        .reply(200, this.fulfillment)
+      assert.equal(yield this.plugin.getFulfillment('6851929f-5a91-4d02-b9f4-4ae6b7f1768c'),
+        this.fulfillment)
+    })
+  })
+
+  describe('retries', function () {
+    beforeEach(function () {
+      this.plugin.retryPolicy = new RetryPolicy({ maxAttempts: 3, backoffMin: 1 })
+      this.rejectionMessage = {
+        code: 'T00',
+        name: 'Internal Error',
+        message: 'fail!',
+        triggered_by: 'example.red.',
+        additional_info: {}
+      }
+    })
+
+    it('retries a transfer after a transient error', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .reply(503)
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .replyWithError('socket hang up')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .reply(200)
+      yield assert.isFulfilled(this.plugin.sendTransfer(this.transfer), null)
+    })
+
+    it('gives up after the maximum number of attempts', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .times(3)
+        .reply(503, {id: 'ServiceUnavailableError', message: 'busy'})
+      yield assert.isRejected(this.plugin.sendTransfer(this.transfer), errors.NotAcceptedError, /busy/)
+    })
+
+    it('does not retry other errors', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .reply(422, {id: 'InsufficientFundsError', message: 'poor'})
+      yield assert.isRejected(this.plugin.sendTransfer(this.transfer), errors.InsufficientBalanceError)
+    })
+
+    it('treats a duplicate on retry as success if the ledger has the same transfer', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .replyWithError('socket hang up')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .reply(400, {id: 'InvalidModificationError', message: 'Transfer already exists'})
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(200, Object.assign({}, this.ledgerTransfer, {
+          debits: [ Object.assign({}, this.ledgerTransfer.debits[0], {amount: '123.00'}) ],
+          state: 'prepared'
+        }))
+      yield assert.isFulfilled(this.plugin.sendTransfer(this.transfer), null)
+    })
+
+    it('throws DuplicateIdError on retry if the ledger has a different transfer', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .reply(502)
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c', this.ledgerTransfer)
+        .reply(400, {id: 'InvalidModificationError', message: 'Transfer already exists'})
+        .get('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c')
+        .reply(200, Object.assign({}, this.ledgerTransfer, {
+          credits: [ Object.assign({}, this.ledgerTransfer.credits[0], {amount: '124'}) ],
+          state: 'prepared'
+        }))
+      yield assert.isRejected(this.plugin.sendTransfer(this.transfer), errors.DuplicateIdError)
+    })
+
+    it('retries a fulfillment', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment2')
+        .replyWithError('socket hang up')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/fulfillment2')
+        .reply(201)
+      yield assert.isFulfilled(this.plugin.fulfillCondition('6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'), null)
+    })
+
+    it('retries a rejection', function * () {
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/rejection', this.rejectionMessage)
+        .reply(500)
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/rejection', this.rejectionMessage)
+        .reply(200, {})
+      yield assert.isFulfilled(this.plugin.rejectIncomingTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        this.rejectionMessage), null)
+    })
+
+    it('gives up once the deadline would be exceeded', function * () {
+      this.plugin.retryPolicy = new RetryPolicy({ maxAttempts: 3, backoffMin: 1000, deadline: 500 })
+      nock('http://red.example')
+        .put('/transfers/6851929f-5a91-4d02-b9f4-4ae6b7f1768c/rejection', this.rejectionMessage)
+        .reply(500)
+      yield assert.isRejected(this.plugin.rejectIncomingTransfer('6851929f-5a91-4d02-b9f4-4ae6b7f1768c',
+        this.rejectionMessage), ExternalError, /Remote error: status=500/)
+    })
+
+    it('validates the retry options', function () {
+      assert.throws(() => new PluginBells({
+        account: 'http://red.example/accounts/mike',
+        password: 'mike',
+        retry: { maxAttempts: 'many' }
+      }), TypeError, /retry.maxAttempts/)
+    })
+  })
 })